@@ -21,9 +21,14 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true,
   optionsSuccessStatus: 200,
+  exposedHeaders: ["ETag", "X-Request-Id", "Content-Disposition"],
 };
 app.use(cors(corsOptions));
 
+// Tag every request with an ID for logs and the audit trail
+import { requestId } from "./middleware/requestId.js";
+app.use(requestId);
+
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
@@ -46,21 +51,24 @@ app.get("/api", (req, res) => {
     endpoints: {
       health: "/health",
       api: "/api",
+      jwks: "/.well-known/jwks.json",
     },
   });
 });
 
 // ## Routes
 import adminRouter from "./routes/admin.js";
+import wellKnownRouter from "./routes/wellKnown.js";
 
 app.use("/api/admin", adminRouter);
+app.use("/.well-known", wellKnownRouter);
 
 // 404 handler
 app.use("*", (req, res) => {
   res.status(404).json({
     error: "Route not found",
     message: `The requested route ${req.originalUrl} does not exist`,
-    availableRoutes: ["/health", "/api"],
+    availableRoutes: ["/health", "/api", "/.well-known/jwks.json"],
   });
 });
 
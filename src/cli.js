@@ -0,0 +1,387 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import { parseArgs } from "util";
+import { Writable } from "stream";
+import readline from "readline/promises";
+import { v4 as uuidv4 } from "uuid";
+import AdminService, { MAX_PAGE_SIZE } from "./services/adminService.js";
+import SessionService from "./services/sessionService.js";
+import LoginThrottleService from "./services/loginThrottleService.js";
+import AuditService from "./services/auditService.js";
+import { MemorySessionStore } from "./stores/sessionStore.js";
+import { MemoryLoginAttemptStore } from "./stores/loginAttemptStore.js";
+import { DB_DRIVER } from "./config/database.js";
+import { ADMIN_ROLES, SUPER_ADMIN_ROLE } from "./config/permissions.js";
+
+const USAGE = `Usage: node src/cli.js <command> [admin] [options]
+
+Commands:
+  create-super-admin   Create an active super admin (--fname, --lname, --username, --email, --password)
+  reset-password       Set a new password and sign the admin out everywhere (--password)
+  unlock               Clear failed login attempts and the lockout of an admin
+  list                 List admins (--role, --status, --search, --page, --limit)
+  set-status           Set an admin to active, inactive or suspended (--status)
+  revoke-sessions      Sign an admin out of every session
+
+The admin is given as a username (or id) argument, or with --id, --username or --email.
+
+Options:
+  --password-stdin     Read the password from the first line of stdin
+  --non-interactive    Never prompt, fail on missing options instead (the default without a terminal)
+  --json               Print the result as JSON
+  -h, --help           Show this help`;
+
+const OPTIONS = {
+  id: { type: "string" },
+  username: { type: "string" },
+  email: { type: "string" },
+  fname: { type: "string" },
+  lname: { type: "string" },
+  password: { type: "string" },
+  "password-stdin": { type: "boolean" },
+  role: { type: "string" },
+  status: { type: "string" },
+  search: { type: "string" },
+  page: { type: "string" },
+  limit: { type: "string" },
+  "non-interactive": { type: "boolean" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const ADMIN_STATUSES = ["active", "inactive", "suspended"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const parseOptions = () => {
+  try {
+    return parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+};
+
+const { values: flags, positionals } = parseOptions();
+const [command, adminArg] = positionals;
+
+// Prompts go to stderr, so --json output on stdout stays parseable
+const interactive = !flags["non-interactive"] && !flags["password-stdin"] && Boolean(process.stdin.isTTY);
+let muted = false;
+const promptOutput = new Writable({
+  write(chunk, encoding, callback) {
+    if (!muted) process.stderr.write(chunk, encoding);
+    callback();
+  },
+});
+const prompt = interactive ? readline.createInterface({ input: process.stdin, output: promptOutput, terminal: true }) : null;
+
+// Audit entries from the CLI have no actor, the user agent says who ran it
+const context = {
+  actor: null,
+  ipAddress: null,
+  userAgent: `admin-cli (${process.env.USER || process.env.USERNAME || "unknown user"})`,
+  requestId: uuidv4(),
+};
+
+const ask = async (question, { hidden = false } = {}) => {
+  if (!hidden) {
+    return (await prompt.question(`${question}: `)).trim();
+  }
+
+  // Don't echo what is typed
+  process.stderr.write(`${question}: `);
+  muted = true;
+
+  try {
+    return await prompt.question("");
+  } finally {
+    muted = false;
+    process.stderr.write("\n");
+  }
+};
+
+// Flag value, or a prompt for it when interactive
+const option = async (name, question) => {
+  const value = flags[name] !== undefined ? flags[name] : interactive ? await ask(question) : undefined;
+
+  if (!value) {
+    throw new Error(`Missing --${name}`);
+  }
+
+  return value;
+};
+
+const readStdinLine = async () => {
+  let input = "";
+
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+
+  return input.split(/\r?\n/)[0];
+};
+
+const newPassword = async () => {
+  if (flags.password !== undefined) {
+    return flags.password;
+  }
+
+  if (flags["password-stdin"]) {
+    return readStdinLine();
+  }
+
+  if (!interactive) {
+    throw new Error("Missing --password or --password-stdin");
+  }
+
+  const password = await ask("New password", { hidden: true });
+  const confirmation = await ask("Repeat the password", { hidden: true });
+
+  if (password !== confirmation) {
+    throw new Error("Passwords don't match");
+  }
+
+  return password;
+};
+
+// The admin a command applies to, from --id, --username, --email or the argument
+const findAdmin = async () => {
+  let match;
+
+  if (flags.id) match = { id: flags.id };
+  else if (flags.username) match = { username: flags.username };
+  else if (flags.email) match = { email: flags.email };
+  else if (adminArg) match = UUID_PATTERN.test(adminArg) ? { id: adminArg } : { username: adminArg };
+  else if (interactive) match = { username: await ask("Admin username") };
+  else throw new Error("Missing admin (username argument, --id, --username or --email)");
+
+  if (match.id && !UUID_PATTERN.test(match.id)) {
+    throw new Error("Invalid admin ID format");
+  }
+
+  const result = await AdminService.findAdmin(match);
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return result.data;
+};
+
+// An in-memory store belongs to this process, so changing it would leave the running server unaffected
+const requireSharedStore = (store, MemoryStore, name, envVar) => {
+  if (store instanceof MemoryStore) {
+    throw new Error(`The ${name} store is in memory, so this wouldn't affect the running server (configure Supabase or set ${envVar}=supabase)`);
+  }
+};
+
+const positiveInt = (name, fallback) => {
+  if (flags[name] === undefined) {
+    return fallback;
+  }
+
+  const value = Number(flags[name]);
+
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`--${name} must be a positive number`);
+  }
+
+  return value;
+};
+
+const commands = {
+  async "create-super-admin"() {
+    const fname = await option("fname", "First name");
+    const lname = await option("lname", "Last name");
+    const username = await option("username", "Username");
+    const email = await option("email", "Email");
+
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new Error("Please provide a valid email address");
+    }
+
+    const password = await newPassword();
+
+    const result = await AdminService.createAdmin(
+      { fname, lname, username, email, password, admin_role: SUPER_ADMIN_ROLE, admin_status: "active" },
+      context
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { message: "Super admin created successfully", data: result.data };
+  },
+
+  async "reset-password"() {
+    requireSharedStore(SessionService.store, MemorySessionStore, "session", "SESSION_STORE");
+
+    const admin = await findAdmin();
+    const password = await newPassword();
+
+    const updateResult = await AdminService.updateAdmin(admin.id, { password }, context);
+
+    if (!updateResult.success) {
+      throw new Error(updateResult.error);
+    }
+
+    const revokeResult = await SessionService.revokeAllSessions(admin.id, "password_reset");
+
+    if (!revokeResult.success) {
+      throw new Error(`Password was changed, but signing out failed: ${revokeResult.error}`);
+    }
+
+    return {
+      message: "Password reset successfully",
+      data: { id: admin.id, username: admin.username, revokedSessions: revokeResult.count },
+    };
+  },
+
+  async unlock() {
+    requireSharedStore(LoginThrottleService.store, MemoryLoginAttemptStore, "login attempt", "LOGIN_ATTEMPT_STORE");
+
+    const admin = await findAdmin();
+    const result = await LoginThrottleService.unlockAccount(admin.username);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await AuditService.record({
+      action: "admin.unlock",
+      context,
+      target: { type: "admin", id: admin.id },
+    });
+
+    return { message: "Admin account unlocked successfully", data: { id: admin.id, username: admin.username } };
+  },
+
+  async list() {
+    if (flags.role && !ADMIN_ROLES.includes(flags.role)) {
+      throw new Error(`--role must be one of: ${ADMIN_ROLES.join(", ")}`);
+    }
+
+    if (flags.status && ![...ADMIN_STATUSES, "pending"].includes(flags.status)) {
+      throw new Error(`--status must be one of: ${[...ADMIN_STATUSES, "pending"].join(", ")}`);
+    }
+
+    const limit = positiveInt("limit", 50);
+
+    if (limit > MAX_PAGE_SIZE) {
+      throw new Error(`--limit can be at most ${MAX_PAGE_SIZE}`);
+    }
+
+    const result = await AdminService.getAllAdmins({
+      page: positiveInt("page", 1),
+      limit: limit,
+      admin_role: flags.role,
+      admin_status: flags.status,
+      search: flags.search,
+      sort: "username",
+      order: "asc",
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { page, totalPages, total } = result.pagination;
+
+    return {
+      message: `Page ${page} of ${Math.max(totalPages, 1)} (${total} admin(s))`,
+      data: result.data,
+      pagination: result.pagination,
+    };
+  },
+
+  async "set-status"() {
+    const admin = await findAdmin();
+    const status = await option("status", `New status (${ADMIN_STATUSES.join(", ")})`);
+
+    if (!ADMIN_STATUSES.includes(status)) {
+      throw new Error(`--status must be one of: ${ADMIN_STATUSES.join(", ")}`);
+    }
+
+    const result = await AdminService.updateAdminStatus(admin.id, status, context);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { message: "Admin status updated successfully", data: result.data };
+  },
+
+  async "revoke-sessions"() {
+    requireSharedStore(SessionService.store, MemorySessionStore, "session", "SESSION_STORE");
+
+    const admin = await findAdmin();
+    const result = await SessionService.revokeAllSessions(admin.id, "revoked_by_cli");
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    await AuditService.record({
+      action: "session.revoke_all",
+      context,
+      target: { type: "admin", id: admin.id },
+      metadata: { revokedSessions: result.count },
+    });
+
+    return {
+      message: "All admin sessions revoked successfully",
+      data: { id: admin.id, username: admin.username, revokedSessions: result.count },
+    };
+  },
+};
+
+const print = ({ message, data, pagination }) => {
+  if (flags.json) {
+    console.log(JSON.stringify({ success: true, message, data, ...(pagination && { pagination }) }, null, 2));
+    return;
+  }
+
+  if (Array.isArray(data)) {
+    console.table(data.map(({ id, username, email, admin_role, admin_status, last_login_at }) => ({
+      id,
+      username,
+      email,
+      admin_role,
+      admin_status,
+      last_login_at: last_login_at || "never",
+    })));
+  } else {
+    Object.entries(data).forEach(([key, value]) => console.log(`   ${key}: ${value ?? "-"}`));
+  }
+
+  console.log(`✅ ${message}`);
+};
+
+try {
+  if (flags.help || !command) {
+    console.log(USAGE);
+  } else if (!Object.hasOwn(commands, command)) {
+    throw new Error(`Unknown command: ${command} (see --help)`);
+  } else {
+    if (DB_DRIVER === "memory") {
+      console.warn("⚠️ Using the in-memory database driver, changes are lost when the CLI exits");
+    }
+
+    print(await commands[command]());
+  }
+} catch (error) {
+  if (flags.json) {
+    console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+  } else {
+    console.error(`❌ ${error.message}`);
+  }
+
+  process.exitCode = 1;
+} finally {
+  if (prompt) {
+    prompt.close();
+  }
+}
@@ -9,26 +9,57 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-// Validate required environment variables
-if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceKey) {
-  throw new Error("Missing required Supabase environment variables");
-}
+// Without these the API can still run against the in-memory drivers
+export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseAnonKey && supabaseServiceKey);
+
+// Data driver for repositories: "supabase" or "memory" (defaults to Supabase when it is configured)
+export const DB_DRIVER = process.env.DB_DRIVER || (isSupabaseConfigured ? "supabase" : "memory");
 
 // Create Supabase client for client-side operations (with RLS)
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+export const supabase = isSupabaseConfigured ? createClient(supabaseUrl, supabaseAnonKey) : null;
 
 // Create Supabase admin client for server-side operations (bypasses RLS)
-export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false,
-  },
-});
+export const supabaseAdmin = isSupabaseConfigured
+  ? createClient(supabaseUrl, supabaseServiceKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false,
+      },
+    })
+  : null;
+
+/**
+ * Warn when a store keeps its data in process memory although the database is configured
+ * @param {string} name - Store name for the message, e.g. "session"
+ */
+export const warnMemoryStore = (name) => {
+  if (DB_DRIVER === "supabase") {
+    console.warn(`⚠️ The ${name} store uses the in-memory driver, its data is lost on restart and not shared between processes`);
+  }
+};
+
+/**
+ * Get the Supabase client, for stores and repositories that were configured to use it
+ * @returns {Object} - Supabase client
+ * @throws {Error} - If the Supabase environment variables are missing
+ */
+export const getSupabase = () => {
+  if (!supabase) {
+    throw new Error("Missing required Supabase environment variables");
+  }
+
+  return supabase;
+};
 
 // Database connection test
 export const testConnection = async () => {
   try {
-    const { data, error } = await supabase.from("users").select("count").limit(1);
+    if (!isSupabaseConfigured) {
+      console.error("❌ Database connection failed: Supabase is not configured");
+      return false;
+    }
+
+    const { error } = await supabase.from("user_admin").select("id", { count: "exact", head: true });
 
     if (error) {
       console.error("❌ Database connection failed:", error.message);
@@ -43,77 +74,224 @@ export const testConnection = async () => {
   }
 };
 
-// Database helper functions
-export const dbHelpers = {
-  // Generic select function
-  async select(table, columns = "*", filters = {}) {
-    try {
-      let query = supabase.from(table).select(columns);
+// Filter operators the helpers understand, and how each one reads inside an or() group
+const FILTER_OPERATORS = ["eq", "neq", "gt", "gte", "lt", "lte", "like", "ilike", "in", "is", "isNot"];
+
+// Operator objects ({ gt: 5 }) are plain objects, anything else is a value to compare with eq
+const isOperatorObject = (condition) =>
+  condition !== null && typeof condition === "object" && !Array.isArray(condition) && !(condition instanceof Date);
+
+// Dates are compared as ISO timestamps
+const toValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toValue);
+  return value;
+};
+
+// Flatten { column: value | { operator: value } } into a list of conditions, skipping undefined values
+const toConditions = (filters = {}) =>
+  Object.entries(filters)
+    .filter(([column]) => column !== "or")
+    .flatMap(([column, condition]) => {
+      if (!isOperatorObject(condition)) {
+        return [{ column, operator: condition === null ? "is" : "eq", value: condition }];
+      }
 
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        query = query.eq(key, value);
-      });
+      return Object.entries(condition).map(([operator, value]) => ({ column, operator, value }));
+    })
+    .filter(({ operator, value }) => {
+      if (!FILTER_OPERATORS.includes(operator)) {
+        throw new Error(`Unknown filter operator: ${operator}`);
+      }
 
-      const { data, error } = await query;
+      return value !== undefined;
+    })
+    .map((condition) => ({ ...condition, value: toValue(condition.value) }));
 
-      if (error) throw error;
-      return { data, error: null };
-    } catch (err) {
-      return { data: null, error: err.message };
-    }
+// Quote a value for an or() filter string when it contains characters PostgREST treats as syntax
+const formatValue = (value) => {
+  if (value === null) return "null";
+
+  const text = String(value);
+  return /[,.:()"\\\s]/.test(text) ? `"${text.replace(/[\\"]/g, (char) => `\\${char}`)}"` : text;
+};
+
+const formatCondition = ({ column, operator, value }) => {
+  if (operator === "in") return `${column}.in.(${value.map(formatValue).join(",")})`;
+  if (operator === "isNot") return `${column}.not.is.${formatValue(value)}`;
+  return `${column}.${operator}.${formatValue(value)}`;
+};
+
+// Each entry of an or group is a filters object; several conditions in one entry must all match
+const formatOrGroup = (group) =>
+  group
+    .map(toConditions)
+    .filter((conditions) => conditions.length > 0)
+    .map((conditions) => (conditions.length === 1 ? formatCondition(conditions[0]) : `and(${conditions.map(formatCondition).join(",")})`))
+    .join(",");
+
+const applyFilters = (query, filters = {}) => {
+  toConditions(filters).forEach(({ column, operator, value }) => {
+    query = operator === "isNot" ? query.not(column, "is", value) : query[operator](column, value);
+  });
+
+  const orFilter = filters.or ? formatOrGroup(filters.or) : "";
+
+  if (orFilter) {
+    query = query.or(orFilter);
+  }
+
+  return query;
+};
+
+// An update or delete without filters would hit every row, which is never what a caller means
+const assertFiltered = (action, table, filters = {}) => {
+  if (toConditions(filters).length === 0 && !(filters.or && formatOrGroup(filters.or))) {
+    const error = new Error(`Refusing to ${action} every row of ${table}, pass at least one filter`);
+    error.code = "UNFILTERED_WRITE";
+    throw error;
+  }
+};
+
+const applyOptions = (query, { order, limit, offset = 0, single = false } = {}) => {
+  [].concat(order || []).forEach(({ column, ascending = true }) => {
+    query = query.order(column, { ascending });
+  });
+
+  if (limit !== undefined) {
+    query = query.range(offset, offset + limit - 1);
+  } else if (offset) {
+    throw new Error("An offset needs a limit");
+  }
+
+  return single ? query.maybeSingle() : query;
+};
+
+// Every helper answers { data, count, error }, with error null or { message, code, details }
+const toResult = ({ data, count }) => ({ data: data ?? null, count: count ?? null, error: null });
+
+const toFailure = (err) => ({
+  data: null,
+  count: null,
+  error: {
+    message: err.message,
+    code: err.code || null,
+    details: err.details || null,
   },
+});
 
-  // Generic insert function
-  async insert(table, data) {
-    try {
-      const { data: result, error } = await supabase.from(table).insert(data).select();
+const run = async (build) => {
+  try {
+    const { data, count, error } = await build();
 
-      if (error) throw error;
-      return { data: result, error: null };
-    } catch (err) {
-      return { data: null, error: err.message };
+    if (error) {
+      return toFailure(error);
     }
-  },
 
-  // Generic update function
-  async update(table, data, filters = {}) {
-    try {
-      let query = supabase.from(table).update(data);
+    return toResult({ data, count });
+  } catch (err) {
+    return toFailure(err);
+  }
+};
 
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        query = query.eq(key, value);
-      });
+/**
+ * Create database helpers for a Supabase client
+ *
+ * Filters are { column: value } (eq, or is for null) or { column: { operator: value } } with the operators
+ * eq, neq, gt, gte, lt, lte, like, ilike, in, is and isNot; undefined values are skipped.
+ * filters.or is a list of filters objects of which at least one must match.
+ * Every helper resolves to { data, count, error } and never throws.
+ *
+ * @param {Function} getClient - Returns the Supabase client to query
+ * @returns {Object} - select, insert, upsert, update and delete helpers
+ */
+export const createDbHelpers = (getClient = getSupabase) => ({
+  /**
+   * Select rows
+   * @param {string} table - Table name
+   * @param {string|Array<string>} columns - Columns to return
+   * @param {Object} filters - Filters (see createDbHelpers)
+   * @param {Object} options - order ({ column, ascending } or a list), limit, offset, count ("exact", "planned" or "estimated"),
+   *                           head (only count), single (at most one row, data is the row or null)
+   * @returns {Promise<Object>} - { data, count, error }
+   */
+  select(table, columns = "*", filters = {}, { count, head = false, ...options } = {}) {
+    return run(() => {
+      const query = getClient()
+        .from(table)
+        .select([].concat(columns).join(", "), { ...(count && { count }), head });
 
-      const { data: result, error } = await query.select();
+      return applyOptions(applyFilters(query, filters), options);
+    });
+  },
 
-      if (error) throw error;
-      return { data: result, error: null };
-    } catch (err) {
-      return { data: null, error: err.message };
-    }
+  /**
+   * Insert one or more rows
+   * @param {string} table - Table name
+   * @param {Object|Array<Object>} data - Row(s) to insert
+   * @param {Object} options - columns to return, single
+   * @returns {Promise<Object>} - { data, count, error }
+   */
+  insert(table, data, { columns = "*", single = false } = {}) {
+    return run(() => {
+      const query = getClient().from(table).insert(data).select([].concat(columns).join(", "));
+      return single ? query.maybeSingle() : query;
+    });
+  },
+
+  /**
+   * Insert rows, updating the existing row when a unique column already matches
+   * @param {string} table - Table name
+   * @param {Object|Array<Object>} data - Row(s) to upsert
+   * @param {Object} options - onConflict (unique column(s)), columns to return, single
+   * @returns {Promise<Object>} - { data, count, error }
+   */
+  upsert(table, data, { onConflict, columns = "*", single = false } = {}) {
+    return run(() => {
+      const query = getClient()
+        .from(table)
+        .upsert(data, { ...(onConflict && { onConflict }) })
+        .select([].concat(columns).join(", "));
+
+      return single ? query.maybeSingle() : query;
+    });
   },
 
-  // Generic delete function
-  async delete(table, filters = {}) {
-    try {
-      let query = supabase.from(table);
+  /**
+   * Update the rows matching the filters (refuses to run without filters)
+   * @param {string} table - Table name
+   * @param {Object} data - Fields to set
+   * @param {Object} filters - Filters (see createDbHelpers)
+   * @param {Object} options - columns to return, single
+   * @returns {Promise<Object>} - { data, count, error } with the updated rows
+   */
+  update(table, data, filters = {}, { columns = "*", single = false } = {}) {
+    return run(() => {
+      assertFiltered("update", table, filters);
 
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        query = query.delete().eq(key, value);
-      });
+      const query = applyFilters(getClient().from(table).update(data), filters).select([].concat(columns).join(", "));
+      return single ? query.maybeSingle() : query;
+    });
+  },
 
-      const { data, error } = await query;
+  /**
+   * Delete the rows matching the filters (refuses to run without filters)
+   * @param {string} table - Table name
+   * @param {Object} filters - Filters (see createDbHelpers)
+   * @param {Object} options - columns to return
+   * @returns {Promise<Object>} - { data, count, error } with the deleted rows
+   */
+  delete(table, filters = {}, { columns = "*" } = {}) {
+    return run(() => {
+      assertFiltered("delete", table, filters);
 
-      if (error) throw error;
-      return { data, error: null };
-    } catch (err) {
-      return { data: null, error: err.message };
-    }
+      return applyFilters(getClient().from(table).delete(), filters).select([].concat(columns).join(", "));
+    });
   },
-};
+});
+
+// Database helper functions for the default client
+export const dbHelpers = createDbHelpers();
 
 // Export default client
 export default supabase;
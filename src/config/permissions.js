@@ -0,0 +1,42 @@
+// Admin roles, highest first
+export const ADMIN_ROLES = ["super_admin", "admin", "manager"];
+
+// Every permission a route can require
+export const PERMISSIONS = {
+  ADMIN_READ: "admin:read",
+  ADMIN_EXPORT: "admin:export",
+  ADMIN_CREATE: "admin:create",
+  ADMIN_WRITE: "admin:write",
+  ADMIN_STATUS: "admin:status",
+  ADMIN_DELETE: "admin:delete",
+  ADMIN_SESSIONS: "admin:sessions",
+  ADMIN_UNLOCK: "admin:unlock",
+  MFA_MANAGE: "mfa:manage",
+  PERMISSIONS_MANAGE: "permissions:manage",
+  AUDIT_READ: "audit:read",
+  SYSTEM_READ: "system:read",
+  BOOKING_READ: "booking:read",
+  BOOKING_WRITE: "booking:write",
+  BOOKING_CANCEL: "booking:cancel",
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Super admins always hold every permission, so the mapping can't lock everyone out
+export const SUPER_ADMIN_ROLE = "super_admin";
+
+// Used until the role_permissions table has been filled
+export const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: ALL_PERMISSIONS,
+  admin: [
+    PERMISSIONS.ADMIN_READ,
+    PERMISSIONS.ADMIN_EXPORT,
+    PERMISSIONS.ADMIN_WRITE,
+    PERMISSIONS.ADMIN_STATUS,
+    PERMISSIONS.ADMIN_UNLOCK,
+    PERMISSIONS.BOOKING_READ,
+    PERMISSIONS.BOOKING_WRITE,
+    PERMISSIONS.BOOKING_CANCEL,
+  ],
+  manager: [PERMISSIONS.BOOKING_READ, PERMISSIONS.BOOKING_WRITE, PERMISSIONS.BOOKING_CANCEL],
+};
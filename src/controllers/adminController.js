@@ -1,13 +1,115 @@
 import AdminService from "../services/adminService.js";
-import { generateToken, generateRefreshToken } from "../utils/jwt.js";
+import SessionService from "../services/sessionService.js";
+import MfaService from "../services/mfaService.js";
+import PasswordResetService from "../services/passwordResetService.js";
+import LoginThrottleService from "../services/loginThrottleService.js";
+import PermissionService from "../services/permissionService.js";
+import ProfileService from "../services/profileService.js";
+import LoginHistoryService from "../services/loginHistoryService.js";
+import InvitationService from "../services/invitationService.js";
+import { ALL_PERMISSIONS } from "../config/permissions.js";
+import {
+  generateToken,
+  verifyRefreshToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  generateImpersonationToken,
+} from "../utils/jwt.js";
+import tokenRevocationStore from "../stores/tokenRevocationStore.js";
+import { getPasswordExpiry } from "../utils/passwordPolicy.js";
+import AuditService from "../services/auditService.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { createExportWriter, EXPORT_FORMATS } from "../utils/exportWriter.js";
+import { ADMIN_EXPORT_COLUMNS } from "../services/adminService.js";
+import { toETag, matchesETag } from "../utils/etag.js";
+
+// Start a session and generate the access/refresh token pair for a logged in admin
+// An expired password limits the access token to changing the password
+const issueLoginTokens = async (req, adminData, claims = {}) => {
+  const passwordExpiry = getPasswordExpiry(adminData.password_changed_at);
+
+  const refreshTokenResult = await SessionService.createSession(adminData, {
+    userAgent: req.get("user-agent"),
+    ipAddress: req.ip,
+  });
+
+  if (!refreshTokenResult.success) {
+    return { success: false, error: refreshTokenResult.error };
+  }
+
+  const tokenResult = generateToken(adminData, refreshTokenResult.sessionId, {
+    ...claims,
+    ...(passwordExpiry.expired && { pwd_expired: true }),
+  });
+
+  if (!tokenResult.success) {
+    return { success: false, error: tokenResult.error };
+  }
+
+  return {
+    success: true,
+    sessionId: refreshTokenResult.sessionId,
+    data: {
+      admin: adminData,
+      accessToken: tokenResult.token,
+      refreshToken: refreshTokenResult.refreshToken,
+      tokenType: tokenResult.tokenType,
+      expiresIn: tokenResult.expiresIn,
+      expiresAt: tokenResult.expiresAt,
+      passwordExpired: passwordExpiry.expired,
+      passwordExpiresAt: passwordExpiry.expiresAt,
+      loginTime: new Date().toISOString(),
+    },
+  };
+};
+
+// Build self/first/prev/next/last links for a paged list, keeping the other query parameters
+const buildPageLinks = (req, { page, limit, totalPages, hasNextPage, hasPrevPage }) => {
+  const path = `${req.baseUrl}${req.path === "/" ? "" : req.path}`;
+  const linkTo = (target) => {
+    const params = new URLSearchParams();
+
+    Object.entries({ ...req.query, page: target, limit }).forEach(([key, value]) => {
+      if (value !== undefined && value !== "") {
+        params.set(key, value);
+      }
+    });
+
+    return `${path}?${params.toString()}`;
+  };
+
+  return {
+    self: linkTo(page),
+    first: linkTo(1),
+    prev: hasPrevPage ? linkTo(page - 1) : null,
+    next: hasNextPage ? linkTo(page + 1) : null,
+    last: linkTo(Math.max(totalPages, 1)),
+  };
+};
+
+// Answer a failed If-Match with 412 and the admin as it is now, so the client can merge and retry
+const sendPreconditionFailed = async (res, id, message) => {
+  const currentResult = await AdminService.getAdminById(id);
+
+  if (currentResult.success) {
+    res.set("ETag", toETag(currentResult.data.updated_at));
+  }
+
+  return res.status(412).json({
+    error: "Precondition Failed",
+    message: message,
+    ...(currentResult.success && { data: currentResult.data }),
+  });
+};
 
 class AdminController {
   // @route   GET /api/admin
-  // @desc    Get all admin users
-  // @access  Private (Admin only)
+  // @desc    Get admin users (paged, filterable by admin_role/admin_status, searchable, sortable)
+  // @access  Private (admin:read)
   async getAllAdmins(req, res) {
     try {
-      const result = await AdminService.getAllAdmins();
+      const { page, limit, admin_role, admin_status, search, sort, order } = req.query;
+      const result = await AdminService.getAllAdmins({ page, limit, admin_role, admin_status, search, sort, order });
 
       if (!result.success) {
         return res.status(400).json({
@@ -21,6 +123,94 @@ class AdminController {
         message: "Admin users retrieved successfully",
         data: result.data,
         count: result.count,
+        pagination: result.pagination,
+        links: buildPageLinks(req, result.pagination),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/export
+  // @desc    Download admin users as CSV or XLSX (same filters as the list, choice of columns)
+  // @access  Private (admin:export)
+  async exportAdmins(req, res) {
+    try {
+      const { format = "csv", columns = ADMIN_EXPORT_COLUMNS, admin_role, admin_status, search, sort, order } = req.query;
+      const filters = { admin_role, admin_status, search, sort, order };
+      const filename = `admins-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+
+      res.set({
+        "Content-Type": EXPORT_FORMATS[format].contentType,
+        "Content-Disposition": `attachment; filename="${filename}"`,
+        "Cache-Control": "no-store",
+      });
+
+      const writer = createExportWriter(format, res, columns);
+      const result = await AdminService.exportAdmins({ ...filters, columns }, (rows) => writer.writeRows(rows));
+
+      if (!result.success) {
+        // Headers may already be sent, so the download can only be cut short
+        if (res.headersSent) {
+          console.error("❌ Admin export failed:", result.error);
+          return res.destroy(new Error(result.error));
+        }
+
+        res.removeHeader("Content-Type");
+        res.removeHeader("Content-Disposition");
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      await writer.end();
+
+      await AuditService.record({
+        action: "admin.export",
+        context: getRequestContext(req),
+        metadata: { format: format, columns: columns, filters: filters, rows: result.count },
+      });
+    } catch (error) {
+      if (res.headersSent) {
+        console.error("❌ Admin export failed:", error.message);
+        return res.destroy(error);
+      }
+
+      res.removeHeader("Content-Type");
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/audit
+  // @desc    Get audit log entries (paged, filterable by actor, target, action and time range)
+  // @access  Private (audit:read)
+  async getAuditLog(req, res) {
+    try {
+      const { page, limit, actor_id, impersonator_id, target_id, target_type, action, from, to } = req.query;
+      const result = await AuditService.list({ actor_id, impersonator_id, target_id, target_type, action, from, to }, { page, limit });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Audit log retrieved successfully",
+        data: result.data,
+        count: result.count,
+        pagination: result.pagination,
+        links: buildPageLinks(req, result.pagination),
       });
     } catch (error) {
       res.status(500).json({
@@ -32,7 +222,7 @@ class AdminController {
 
   // @route   GET /api/admin/:id
   // @desc    Get admin user by ID
-  // @access  Private (Admin only)
+  // @access  Private (Self or admin:read)
   async getAdminById(req, res) {
     try {
       const { id } = req.params;
@@ -45,6 +235,13 @@ class AdminController {
         });
       }
 
+      const etag = toETag(result.data.updated_at);
+      res.set("ETag", etag);
+
+      if (matchesETag(req.get("if-none-match"), etag, { weak: true })) {
+        return res.status(304).end();
+      }
+
       res.json({
         success: true,
         message: "Admin user retrieved successfully",
@@ -60,13 +257,27 @@ class AdminController {
 
   // @route   POST /api/admin
   // @desc    Create new admin user
-  // @access  Private (Super Admin only)
+  // @access  Private (admin:create)
   async createAdmin(req, res) {
     try {
       const adminData = req.body;
-      const result = await AdminService.createAdmin(adminData);
+      const result = await AdminService.createAdmin(adminData, getRequestContext(req));
 
       if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
         // Handle specific error types
         if (result.error.includes("Duplicate")) {
           return res.status(409).json({
@@ -75,6 +286,13 @@ class AdminController {
           });
         }
 
+        if (result.error.includes("Password policy violation")) {
+          return res.status(400).json({
+            error: "Validation Error",
+            message: result.error,
+          });
+        }
+
         return res.status(400).json({
           error: "Database Error",
           message: result.error,
@@ -94,17 +312,115 @@ class AdminController {
     }
   }
 
+  // @route   POST /api/admin/bulk
+  // @desc    Create many admin users from JSON or CSV (?dryRun=true only validates)
+  // @access  Private (admin:create)
+  async bulkCreateAdmins(req, res) {
+    try {
+      const dryRun = req.query.dryRun === true;
+      const result = await AdminService.bulkCreateAdmins(req.bulkRows, { dryRun }, getRequestContext(req));
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      if (result.invalid > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+          ...(dryRun ? { success: true } : { error: "Validation Error" }),
+          message: `${result.invalid} of ${result.results.length} rows are invalid${dryRun ? "" : ", no admin users were created"}`,
+          data: result,
+        });
+      }
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: `All ${result.results.length} rows are valid`,
+          data: result,
+        });
+      }
+
+      res.status(result.failed > 0 ? 207 : 201).json({
+        success: result.failed === 0,
+        message: `${result.created} of ${result.results.length} admin users created`,
+        data: result,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   PATCH /api/admin/bulk/status
+  // @desc    Update the status of many admin users
+  // @access  Private (admin:status)
+  async bulkUpdateAdminStatus(req, res) {
+    try {
+      const { ids, admin_status } = req.body;
+      const result = await AdminService.bulkUpdateAdminStatus(ids, admin_status, getRequestContext(req));
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.status(result.failed > 0 ? 207 : 200).json({
+        success: result.failed === 0,
+        message: `${result.updated} of ${result.results.length} admin user statuses updated`,
+        data: result,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
   // @route   PUT /api/admin/:id
   // @desc    Update admin user
-  // @access  Private (Admin only)
+  // @access  Private (Self or admin:write)
   async updateAdmin(req, res) {
     try {
       const { id } = req.params;
       const updateData = req.body;
 
-      const result = await AdminService.updateAdmin(id, updateData);
+      // Own password and email changes need the current password (and a verified address)
+      if (id === req.user.id && (updateData.password !== undefined || updateData.email !== undefined)) {
+        return res.status(403).json({
+          error: "Access Denied",
+          message: "Change your own password or email with POST /api/admin/me/password or POST /api/admin/me/email",
+        });
+      }
+
+      const result = await AdminService.updateAdmin(id, updateData, getRequestContext(req), { ifMatch: req.get("if-match") });
 
       if (!result.success) {
+        if (result.error.startsWith("Precondition Failed")) {
+          return sendPreconditionFailed(res, id, result.error);
+        }
+
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
         // Handle specific error types
         if (result.error.includes("Duplicate")) {
           return res.status(409).json({
@@ -113,6 +429,13 @@ class AdminController {
           });
         }
 
+        if (result.error.includes("Password policy violation")) {
+          return res.status(400).json({
+            error: "Validation Error",
+            message: result.error,
+          });
+        }
+
         if (result.error.includes("not found")) {
           return res.status(404).json({
             error: "Not Found",
@@ -126,6 +449,7 @@ class AdminController {
         });
       }
 
+      res.set("ETag", toETag(result.data.updated_at));
       res.json({
         success: true,
         message: "Admin user updated successfully",
@@ -140,14 +464,28 @@ class AdminController {
   }
 
   // @route   DELETE /api/admin/:id
-  // @desc    Delete admin user
-  // @access  Private (Super Admin only)
+  // @desc    Soft delete admin user
+  // @access  Private (admin:delete)
   async deleteAdmin(req, res) {
     try {
       const { id } = req.params;
-      const result = await AdminService.deleteAdmin(id);
+      const result = await AdminService.deleteAdmin(id, getRequestContext(req));
 
       if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
         return res.status(404).json({
           error: "Not Found",
           message: result.error,
@@ -167,23 +505,84 @@ class AdminController {
     }
   }
 
+  // @route   POST /api/admin/:id/restore
+  // @desc    Restore a soft-deleted admin user
+  // @access  Private (admin:delete)
+  async restoreAdmin(req, res) {
+    try {
+      const { id } = req.params;
+      const result = await AdminService.restoreAdmin(id, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(404).json({
+          error: "Not Found",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Admin user restored successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
   // @route   PATCH /api/admin/:id/status
   // @desc    Update admin user status only
-  // @access  Private (Admin only)
+  // @access  Private (admin:status)
   async updateAdminStatus(req, res) {
     try {
       const { id } = req.params;
       const { admin_status } = req.body;
 
-      const result = await AdminService.updateAdminStatus(id, admin_status);
+      const result = await AdminService.updateAdminStatus(id, admin_status, getRequestContext(req), { ifMatch: req.get("if-match") });
 
       if (!result.success) {
+        if (result.error.startsWith("Precondition Failed")) {
+          return sendPreconditionFailed(res, id, result.error);
+        }
+
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
         return res.status(404).json({
           error: "Not Found",
           message: result.error,
         });
       }
 
+      res.set("ETag", toETag(result.data.updated_at));
       res.json({
         success: true,
         message: "Admin user status updated successfully",
@@ -198,11 +597,12 @@ class AdminController {
   }
 
   // @route   GET /api/admin/stats
-  // @desc    Get admin statistics
-  // @access  Private (Admin only)
+  // @desc    Get admin statistics, including dormant accounts (?dormantDays=N)
+  // @access  Private (admin:read)
   async getAdminStats(req, res) {
     try {
-      const result = await AdminService.getAdminStats();
+      const { dormantDays } = req.query;
+      const result = await AdminService.getAdminStats({ dormantDays });
 
       if (!result.success) {
         return res.status(400).json({
@@ -224,6 +624,24 @@ class AdminController {
     }
   }
 
+  // @route   GET /api/admin/system/cache
+  // @desc    Get hit and miss counters of the admin access cache used by authentication
+  // @access  Private (system:read)
+  async getAccessCacheStats(req, res) {
+    try {
+      res.json({
+        success: true,
+        message: "Admin access cache statistics retrieved successfully",
+        data: AdminService.getAccessCacheStats(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
   // @route   POST /api/admin/login
   // @desc    Admin login
   // @access  Public
@@ -235,6 +653,13 @@ class AdminController {
       const adminResult = await AdminService.getAdminByUsername(username);
 
       if (!adminResult.success) {
+        await LoginHistoryService.record({ username, outcome: "failure", reason: "unknown_user", context: getRequestContext(req) });
+        await AuditService.record({
+          action: "auth.login_failed",
+          context: getRequestContext(req),
+          metadata: { username: username, reason: "unknown_user" },
+        });
+
         return res.status(401).json({
           error: "Authentication Failed",
           message: "Invalid username or password",
@@ -245,6 +670,19 @@ class AdminController {
       const passwordResult = await AdminService.verifyPassword(password, adminResult.data.password);
 
       if (!passwordResult.success || !passwordResult.isValid) {
+        await LoginHistoryService.record({
+          admin: adminResult.data,
+          outcome: "failure",
+          reason: "invalid_password",
+          context: getRequestContext(req),
+        });
+        await AuditService.record({
+          action: "auth.login_failed",
+          context: getRequestContext(req),
+          target: { type: "admin", id: adminResult.data.id },
+          metadata: { username: username, reason: "invalid_password" },
+        });
+
         return res.status(401).json({
           error: "Authentication Failed",
           message: "Invalid username or password",
@@ -253,39 +691,83 @@ class AdminController {
 
       // Remove password from response
       const { password: _, ...adminData } = adminResult.data;
-      console.log("adminData:", adminData);
 
-      // Generate JWT tokens
-      const tokenResult = generateToken(adminData);
-      console.log("tokenResult:", tokenResult);
+      // Second step needed if two-factor authentication is enabled
+      const requirementResult = await MfaService.getLoginRequirement(adminData);
+
+      if (!requirementResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: requirementResult.error,
+        });
+      }
+
+      if (requirementResult.mfaEnabled) {
+        const mfaTokenResult = generateMfaPendingToken(adminData);
 
-      const refreshTokenResult = generateRefreshToken(adminData);
-      console.log("refreshTokenResult:", refreshTokenResult);
+        if (!mfaTokenResult.success) {
+          return res.status(500).json({
+            error: "Token Generation Failed",
+            message: "Failed to generate two-factor token",
+          });
+        }
+
+        // Password step alone doesn't clear failed attempts
+        res.locals.mfaPending = true;
+
+        await LoginHistoryService.record({ admin: adminData, outcome: "mfa_required", context: getRequestContext(req) });
+        await AuditService.record({
+          action: "auth.mfa_challenge",
+          context: getRequestContext(req),
+          actor: adminData,
+          target: { type: "admin", id: adminData.id },
+        });
+
+        return res.json({
+          success: true,
+          message: "Two-factor authentication required",
+          data: {
+            mfaRequired: true,
+            mfaToken: mfaTokenResult.mfaToken,
+            expiresIn: mfaTokenResult.expiresIn,
+          },
+        });
+      }
 
-      if (!tokenResult.success || !refreshTokenResult.success) {
-        console.log("Token generation failed!");
+      // Generate JWT tokens (limited to enrollment if the role requires two-factor authentication)
+      const loginResult = await issueLoginTokens(req, adminData, requirementResult.enrollmentRequired ? { mfa_enroll: true } : {});
+
+      if (!loginResult.success) {
+        console.error("❌ Token generation failed:", loginResult.error);
         return res.status(500).json({
           error: "Token Generation Failed",
           message: "Failed to generate authentication tokens",
         });
       }
 
-      console.log("Sending response with tokens...");
+      await LoginHistoryService.record({ admin: adminData, outcome: "success", context: getRequestContext(req) });
+      await AuditService.record({
+        action: "auth.login",
+        context: getRequestContext(req),
+        actor: adminData,
+        target: { type: "admin", id: adminData.id },
+        metadata: {
+          sessionId: loginResult.sessionId,
+          mfaEnrollmentRequired: requirementResult.enrollmentRequired,
+          passwordExpired: loginResult.data.passwordExpired,
+        },
+      });
+
       res.json({
         success: true,
         message: "Admin login successful",
         data: {
-          admin: adminData,
-          accessToken: tokenResult.token,
-          refreshToken: refreshTokenResult.refreshToken,
-          tokenType: tokenResult.tokenType,
-          expiresIn: tokenResult.expiresIn,
-          expiresAt: tokenResult.expiresAt,
-          loginTime: new Date().toISOString(),
+          ...loginResult.data,
+          ...(requirementResult.enrollmentRequired && { mfaEnrollmentRequired: true }),
         },
       });
     } catch (error) {
-      console.log("Login error:", error);
+      console.error("❌ Login error:", error.message);
       res.status(500).json({
         error: "Internal Server Error",
         message: error.message,
@@ -293,29 +775,1213 @@ class AdminController {
     }
   }
 
-  // @route   POST /api/admin/logout
-  // @desc    Admin logout
-  // @access  Private (Admin only)
-  async logoutAdmin(req, res) {
+  // @route   POST /api/admin/login/mfa
+  // @desc    Complete admin login with a two-factor code
+  // @access  Public (with valid MFA token)
+  async loginAdminMfa(req, res) {
     try {
-      // In a stateless JWT system, logout is typically handled client-side
-      // by removing the token from storage
-      // For server-side logout, you could implement a token blacklist
+      const { mfaToken, code, recoveryCode } = req.body;
 
-      res.json({
-        success: true,
-        message: "Admin logged out successfully",
-        instructions: "Please remove the token from client storage",
-      });
-    } catch (error) {
-      res.status(500).json({
-        error: "Internal Server Error",
-        message: error.message,
-      });
-    }
-  }
+      const verifyResult = verifyMfaPendingToken(mfaToken);
 
-  // @route   POST /api/admin/refresh-token
+      if (!verifyResult.success) {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: verifyResult.error,
+        });
+      }
+
+      const { id, jti, exp } = verifyResult.decoded;
+
+      // MFA tokens are single use
+      const revocationResult = await tokenRevocationStore.isRevoked(jti);
+
+      if (!revocationResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Token revocation check failed",
+        });
+      }
+
+      if (revocationResult.isRevoked) {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "MFA token has already been used",
+        });
+      }
+
+      const adminResult = await AdminService.getAdminById(id);
+
+      if (!adminResult.success || adminResult.data.admin_status !== "active") {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "Invalid username or password",
+        });
+      }
+
+      const factorResult = await MfaService.verifySecondFactor(id, { code, recoveryCode });
+
+      if (!factorResult.success) {
+        return res.status(400).json({
+          error: "Bad Request",
+          message: factorResult.error,
+        });
+      }
+
+      if (!factorResult.isValid) {
+        await LoginHistoryService.record({
+          admin: adminResult.data,
+          outcome: "failure",
+          reason: "invalid_mfa_code",
+          context: getRequestContext(req),
+        });
+        await AuditService.record({
+          action: "auth.login_failed",
+          context: getRequestContext(req),
+          target: { type: "admin", id: id },
+          metadata: { username: adminResult.data.username, reason: "invalid_mfa_code" },
+        });
+
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "Invalid two-factor code",
+        });
+      }
+
+      await tokenRevocationStore.revoke(jti, new Date(exp * 1000), { adminId: id, reason: "mfa_completed" });
+
+      const loginResult = await issueLoginTokens(req, adminResult.data);
+
+      if (!loginResult.success) {
+        return res.status(500).json({
+          error: "Token Generation Failed",
+          message: "Failed to generate authentication tokens",
+        });
+      }
+
+      await LoginHistoryService.record({ admin: adminResult.data, outcome: "success", reason: "mfa", context: getRequestContext(req) });
+      await AuditService.record({
+        action: "auth.login",
+        context: getRequestContext(req),
+        actor: adminResult.data,
+        target: { type: "admin", id: id },
+        metadata: { sessionId: loginResult.sessionId, mfaMethod: factorResult.method },
+      });
+
+      res.json({
+        success: true,
+        message: "Admin login successful",
+        data: {
+          ...loginResult.data,
+          mfaMethod: factorResult.method,
+          ...(factorResult.recoveryCodesRemaining !== undefined && {
+            recoveryCodesRemaining: factorResult.recoveryCodesRemaining,
+          }),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/password/forgot
+  // @desc    Email a password reset link
+  // @access  Public
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      const result = await PasswordResetService.requestReset(email, { ipAddress: req.ip });
+
+      if (!result.success) {
+        // Don't reveal the failure to the caller, the account may or may not exist
+        console.error("❌ Password reset request failed:", result.error);
+      }
+
+      res.json({
+        success: true,
+        message: "If an active account uses this email, a password reset link has been sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/password/reset
+  // @desc    Set a new password with a reset token
+  // @access  Public (with valid reset token)
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+      const result = await PasswordResetService.resetPassword(token, password, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.includes("Invalid or expired")) {
+          return res.status(400).json({
+            error: "Invalid Reset Token",
+            message: result.error,
+          });
+        }
+
+        if (result.error.includes("Password policy violation")) {
+          return res.status(400).json({
+            error: "Validation Error",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Password reset successfully, please log in again",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/invitations
+  // @desc    List invitations (paged, filterable by status)
+  // @access  Private (admin:create)
+  async getInvitations(req, res) {
+    try {
+      const { page, limit, status } = req.query;
+      const result = await InvitationService.list({ status }, { page, limit });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitations retrieved successfully",
+        data: result.data,
+        count: result.count,
+        pagination: result.pagination,
+        links: buildPageLinks(req, result.pagination),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/invitations
+  // @desc    Invite a new admin by email, they choose their own password
+  // @access  Private (admin:create)
+  async createInvitation(req, res) {
+    try {
+      const { fname, lname, username, email, admin_role } = req.body;
+      const result = await InvitationService.invite({ fname, lname, username, email, admin_role }, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.includes("Duplicate")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: result.data.emailSent ? "Invitation sent successfully" : "Invitation created, but the email could not be sent",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/invitations/accept
+  // @desc    Accept an invitation by choosing a password
+  // @access  Public (with valid invitation token)
+  async acceptInvitation(req, res) {
+    try {
+      const { token, password } = req.body;
+      const result = await InvitationService.accept(token, password, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.includes("Invalid or expired")) {
+          return res.status(400).json({
+            error: "Invalid Invitation",
+            message: result.error,
+          });
+        }
+
+        if (result.error.includes("Password policy violation")) {
+          return res.status(400).json({
+            error: "Validation Error",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation accepted, you can now log in",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/invitations/:invitationId/resend
+  // @desc    Send an invitation again with a new link and expiry
+  // @access  Private (admin:create)
+  async resendInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+      const result = await InvitationService.resend(invitationId, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.includes("not found")) {
+          return res.status(404).json({
+            error: "Not Found",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation resent successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   DELETE /api/admin/invitations/:invitationId
+  // @desc    Revoke an invitation and remove the pending admin
+  // @access  Private (admin:create)
+  async revokeInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+      const result = await InvitationService.revoke(invitationId, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.includes("not found")) {
+          return res.status(404).json({
+            error: "Not Found",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation revoked successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/me
+  // @desc    Get the profile of the current admin
+  // @access  Private (Authenticated admin)
+  async getMe(req, res) {
+    try {
+      const result = await AdminService.getAdminById(req.user.id);
+
+      if (!result.success) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Profile retrieved successfully",
+        data: result.data,
+        ...(req.user.impersonator && { impersonator: req.user.impersonator }),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   PATCH /api/admin/me
+  // @desc    Update the profile (fname, lname) of the current admin
+  // @access  Private (Authenticated admin)
+  async updateMe(req, res) {
+    try {
+      const result = await ProfileService.updateProfile(req.user.id, req.body, getRequestContext(req));
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Profile updated successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/me/password
+  // @desc    Change the password of the current admin and sign out other sessions
+  // @access  Private (Authenticated admin, also with an expired password)
+  async changeMyPassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const result = await ProfileService.changePassword(req.user.id, currentPassword, newPassword, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.includes("Password policy violation")) {
+          return res.status(400).json({
+            error: "Validation Error",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      // Replace the change-password-only access token with a full one
+      let tokenData = {};
+
+      if (req.user.tokenData.pwd_expired) {
+        const tokenResult = generateToken(req.user, req.user.sessionId);
+
+        if (tokenResult.success) {
+          await tokenRevocationStore.revoke(req.user.tokenData.jti, new Date(req.user.tokenData.exp * 1000), {
+            adminId: req.user.id,
+            reason: "password_changed",
+          });
+
+          tokenData = {
+            accessToken: tokenResult.token,
+            tokenType: tokenResult.tokenType,
+            expiresIn: tokenResult.expiresIn,
+            expiresAt: tokenResult.expiresAt,
+          };
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Password changed successfully, other sessions have been signed out",
+        data: {
+          ...result.data,
+          ...tokenData,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/me/email
+  // @desc    Request an email change, confirmed through a link sent to the new address
+  // @access  Private (Authenticated admin)
+  async requestMyEmailChange(req, res) {
+    try {
+      const { currentPassword, email } = req.body;
+      const result = await ProfileService.requestEmailChange(req.user.id, currentPassword, email, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Conflict") || result.error.includes("Duplicate")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: "A confirmation link has been sent to the new email address",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/me/email/confirm
+  // @desc    Confirm an email change
+  // @access  Public (with valid verification token)
+  async confirmEmailChange(req, res) {
+    try {
+      const { token } = req.body;
+      const result = await ProfileService.confirmEmailChange(token, getRequestContext(req));
+
+      if (!result.success) {
+        if (result.error.includes("Invalid or expired")) {
+          return res.status(400).json({
+            error: "Invalid Verification Token",
+            message: result.error,
+          });
+        }
+
+        if (result.error.startsWith("Forbidden")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        if (result.error.includes("Duplicate")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Email changed successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/me/mfa
+  // @desc    Get two-factor authentication status of the current admin
+  // @access  Private (Authenticated admin)
+  async getMyMfaStatus(req, res) {
+    try {
+      const result = await MfaService.getStatus(req.user.id);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor status retrieved successfully",
+        data: {
+          ...result.data,
+          enrollmentRequired: Boolean(req.user.tokenData.mfa_enroll),
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/me/mfa/setup
+  // @desc    Generate a TOTP secret for the current admin
+  // @access  Private (Authenticated admin)
+  async setupMyMfa(req, res) {
+    try {
+      const result = await MfaService.beginEnrollment(req.user);
+
+      if (!result.success) {
+        if (result.error.includes("already enabled")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Scan the secret with an authenticator app and confirm with a code",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/me/mfa/confirm
+  // @desc    Enable two-factor authentication with a code and get recovery codes
+  // @access  Private (Authenticated admin)
+  async confirmMyMfa(req, res) {
+    try {
+      const { code } = req.body;
+      const result = await MfaService.confirmEnrollment(req.user.id, code);
+
+      if (!result.success) {
+        if (result.error.includes("already enabled")) {
+          return res.status(409).json({
+            error: "Conflict",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Bad Request",
+          message: result.error,
+        });
+      }
+
+      // Replace the enrollment-only access token with a full one
+      let tokenData = {};
+
+      if (req.user.tokenData.mfa_enroll) {
+        const tokenResult = generateToken(req.user, req.user.sessionId);
+
+        if (tokenResult.success) {
+          await tokenRevocationStore.revoke(req.user.tokenData.jti, new Date(req.user.tokenData.exp * 1000), {
+            adminId: req.user.id,
+            reason: "mfa_enrolled",
+          });
+
+          tokenData = {
+            accessToken: tokenResult.token,
+            tokenType: tokenResult.tokenType,
+            expiresIn: tokenResult.expiresIn,
+            expiresAt: tokenResult.expiresAt,
+          };
+        }
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled. Store the recovery codes somewhere safe",
+        data: {
+          ...result.data,
+          ...tokenData,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   DELETE /api/admin/me/mfa
+  // @desc    Disable two-factor authentication for the current admin
+  // @access  Private (Authenticated admin)
+  async disableMyMfa(req, res) {
+    try {
+      const { code, recoveryCode } = req.body;
+      const result = await MfaService.disable(req.user, { code, recoveryCode });
+
+      if (!result.success) {
+        if (result.error.includes("required for role")) {
+          return res.status(403).json({
+            error: "Access Denied",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Bad Request",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/mfa/policies
+  // @desc    Get which roles require two-factor authentication
+  // @access  Private (mfa:manage)
+  async getMfaPolicies(req, res) {
+    try {
+      const result = await MfaService.getRolePolicies();
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor policies retrieved successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   PUT /api/admin/mfa/policies/:role
+  // @desc    Require (or stop requiring) two-factor authentication for a role
+  // @access  Private (mfa:manage)
+  async updateMfaPolicy(req, res) {
+    try {
+      const { role } = req.params;
+      const { mfa_required } = req.body;
+
+      const result = await MfaService.setRolePolicy(role, mfa_required, req.user.id);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "mfa.policy_update",
+        context: getRequestContext(req),
+        target: { type: "role", id: role },
+        after: { mfa_required: mfa_required },
+      });
+
+      res.json({
+        success: true,
+        message: "Two-factor policy updated successfully",
+        data: result.data,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/logout
+  // @desc    Admin logout
+  // @access  Private (Admin only)
+  async logoutAdmin(req, res) {
+    try {
+      const { jti, exp } = req.user.tokenData;
+
+      // Tokens issued before jti was introduced can't be revoked and simply expire
+      if (jti) {
+        const revokeResult = await tokenRevocationStore.revoke(jti, new Date(exp * 1000), {
+          adminId: req.user.id,
+          reason: "logout",
+        });
+
+        if (!revokeResult.success) {
+          return res.status(500).json({
+            error: "Logout Failed",
+            message: revokeResult.error,
+          });
+        }
+      }
+
+      // End the session so its refresh token stops working too
+      if (req.user.sessionId) {
+        await SessionService.revokeSession(req.user.sessionId, "logout");
+      }
+
+      // Older access tokens carry no session, so fall back to the refresh token if the client sent it
+      const { refreshToken } = req.body || {};
+
+      if (!req.user.sessionId && refreshToken) {
+        const refreshResult = verifyRefreshToken(refreshToken);
+
+        if (refreshResult.success && refreshResult.decoded.sid && refreshResult.decoded.id === req.user.id) {
+          await SessionService.revokeSession(refreshResult.decoded.sid, "logout");
+        }
+      }
+
+      await AuditService.record({
+        action: "auth.logout",
+        context: getRequestContext(req),
+        target: { type: "admin", id: req.user.id },
+        metadata: { sessionId: req.user.sessionId || null },
+      });
+
+      res.json({
+        success: true,
+        message: "Admin logged out successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/permissions
+  // @desc    Get every permission and the permissions of each role
+  // @access  Private (permissions:manage)
+  async getPermissions(req, res) {
+    try {
+      const result = await PermissionService.getMapping();
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Permissions retrieved successfully",
+        data: {
+          permissions: ALL_PERMISSIONS,
+          roles: result.data,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   PUT /api/admin/permissions/:role
+  // @desc    Replace the permissions of a role
+  // @access  Private (permissions:manage)
+  async updateRolePermissions(req, res) {
+    try {
+      const { role } = req.params;
+      const { permissions } = req.body;
+
+      const beforeResult = await PermissionService.getPermissionsForRole(role);
+      const result = await PermissionService.setRolePermissions(role, permissions);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Bad Request",
+          message: result.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "permissions.update",
+        context: getRequestContext(req),
+        target: { type: "role", id: role },
+        before: beforeResult.success ? { permissions: beforeResult.data } : null,
+        after: { permissions: result.data },
+      });
+
+      res.json({
+        success: true,
+        message: "Role permissions updated successfully",
+        data: { role: role, permissions: result.data },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/me/sessions
+  // @desc    List active sessions of the current admin
+  // @access  Private (Authenticated admin)
+  async getMySessions(req, res) {
+    try {
+      const result = await SessionService.listSessions(req.user.id, req.user.sessionId);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Sessions retrieved successfully",
+        data: result.data,
+        count: result.count,
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   DELETE /api/admin/me/sessions/:sessionId
+  // @desc    Revoke one session of the current admin
+  // @access  Private (Authenticated admin)
+  async revokeMySession(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const result = await SessionService.revokeAdminSession(req.user.id, sessionId, "revoked_by_owner");
+
+      if (!result.success) {
+        if (result.error.includes("not found")) {
+          return res.status(404).json({
+            error: "Not Found",
+            message: result.error,
+          });
+        }
+
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "session.revoke",
+        context: getRequestContext(req),
+        target: { type: "admin", id: req.user.id },
+        metadata: { sessionId: sessionId },
+      });
+
+      res.json({
+        success: true,
+        message: "Session revoked successfully",
+        data: { id: sessionId, current: sessionId === req.user.sessionId },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   GET /api/admin/:id/logins
+  // @desc    Get the login history of an admin user
+  // @access  Private (Self or admin:read)
+  async getAdminLogins(req, res) {
+    try {
+      const { id } = req.params;
+      const { page, limit, outcome } = req.query;
+
+      const adminResult = await AdminService.getAdminById(id);
+
+      if (!adminResult.success) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: adminResult.error,
+        });
+      }
+
+      const result = await LoginHistoryService.listForAdmin(id, { outcome }, { page, limit });
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Login history retrieved successfully",
+        data: result.data,
+        count: result.count,
+        lastLoginAt: adminResult.data.last_login_at,
+        pagination: result.pagination,
+        links: buildPageLinks(req, result.pagination),
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/:id/unlock
+  // @desc    Clear failed login attempts and lockout of an admin account
+  // @access  Private (admin:unlock)
+  async unlockAdmin(req, res) {
+    try {
+      const { id } = req.params;
+
+      const adminResult = await AdminService.getAdminById(id);
+
+      if (!adminResult.success) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: adminResult.error,
+        });
+      }
+
+      const result = await LoginThrottleService.unlockAccount(adminResult.data.username);
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "admin.unlock",
+        context: getRequestContext(req),
+        target: { type: "admin", id: id },
+      });
+
+      res.json({
+        success: true,
+        message: "Admin account unlocked successfully",
+        data: { id: id, username: adminResult.data.username },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   DELETE /api/admin/:id/sessions
+  // @desc    Sign an admin out of every session
+  // @access  Private (admin:sessions)
+  async revokeAdminSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const adminResult = await AdminService.getAdminById(id);
+
+      if (!adminResult.success) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: adminResult.error,
+        });
+      }
+
+      const result = await SessionService.revokeAllSessions(id, "revoked_by_super_admin");
+
+      if (!result.success) {
+        return res.status(400).json({
+          error: "Database Error",
+          message: result.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "session.revoke_all",
+        context: getRequestContext(req),
+        target: { type: "admin", id: id },
+        metadata: { revokedSessions: result.count },
+      });
+
+      res.json({
+        success: true,
+        message: "All admin sessions revoked successfully",
+        data: { id: id, revokedSessions: result.count },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/:id/impersonate
+  // @desc    Get a short-lived access token to use the API as another admin
+  // @access  Private (Super admin only)
+  async impersonateAdmin(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      if (id === req.user.id) {
+        return res.status(400).json({
+          error: "Bad Request",
+          message: "You can't impersonate yourself",
+        });
+      }
+
+      const adminResult = await AdminService.getAdminById(id);
+
+      if (!adminResult.success) {
+        return res.status(404).json({
+          error: "Not Found",
+          message: adminResult.error,
+        });
+      }
+
+      if (adminResult.data.admin_status !== "active") {
+        return res.status(409).json({
+          error: "Conflict",
+          message: `Admin account is ${adminResult.data.admin_status}`,
+        });
+      }
+
+      const tokenResult = generateImpersonationToken(adminResult.data, req.user);
+
+      if (!tokenResult.success) {
+        return res.status(500).json({
+          error: "Token Generation Failed",
+          message: tokenResult.error,
+        });
+      }
+
+      await AuditService.record({
+        action: "admin.impersonate",
+        context: getRequestContext(req),
+        target: { type: "admin", id },
+        metadata: { reason: reason || null, jti: tokenResult.jti, expiresAt: tokenResult.expiresAt },
+      });
+
+      res.json({
+        success: true,
+        message: "Impersonation started, the token can't be refreshed",
+        data: {
+          admin: adminResult.data,
+          impersonator: { id: req.user.id, username: req.user.username },
+          accessToken: tokenResult.token,
+          tokenType: tokenResult.tokenType,
+          expiresIn: tokenResult.expiresIn,
+          expiresAt: tokenResult.expiresAt,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+
+  // @route   POST /api/admin/refresh-token
   // @desc    Refresh access token using refresh token
   // @access  Public (with valid refresh token)
   async refreshToken(req, res) {
@@ -329,21 +1995,31 @@ class AdminController {
         });
       }
 
-      // Verify refresh token
-      const { verifyRefreshToken } = await import("../utils/jwt.js");
-      const verifyResult = verifyRefreshToken(refreshToken);
+      // Rotate refresh token (revokes the whole session if it was already used)
+      const rotateResult = await SessionService.rotateRefreshToken(refreshToken);
+
+      if (!rotateResult.success) {
+        if (rotateResult.reuseDetected) {
+          await AuditService.record({
+            action: "auth.refresh_reuse",
+            context: getRequestContext(req),
+            target: { type: "admin", id: rotateResult.adminId },
+            metadata: { sessionId: rotateResult.sessionId },
+          });
+        }
 
-      if (!verifyResult.success) {
         return res.status(401).json({
           error: "Invalid Refresh Token",
-          message: verifyResult.error,
+          message: rotateResult.error,
+          ...(rotateResult.reuseDetected && { reuseDetected: true }),
         });
       }
 
       // Get latest admin data
-      const adminResult = await AdminService.getAdminById(verifyResult.decoded.id);
+      const adminResult = await AdminService.getAdminById(rotateResult.adminId);
 
       if (!adminResult.success) {
+        await SessionService.revokeSession(rotateResult.sessionId, "admin_not_found");
         return res.status(401).json({
           error: "Authentication Failed",
           message: "Admin user not found",
@@ -352,14 +2028,30 @@ class AdminController {
 
       // Check if admin is still active
       if (adminResult.data.admin_status !== "active") {
+        await SessionService.revokeSession(rotateResult.sessionId, `admin_${adminResult.data.admin_status}`);
         return res.status(401).json({
           error: "Authentication Failed",
           message: `Admin account is ${adminResult.data.admin_status}`,
         });
       }
 
+      // Keep the token limited while the role still requires two-factor enrollment
+      const requirementResult = await MfaService.getLoginRequirement(adminResult.data);
+
+      if (!requirementResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: requirementResult.error,
+        });
+      }
+
+      const passwordExpiry = getPasswordExpiry(adminResult.data.password_changed_at);
+
       // Generate new access token
-      const tokenResult = generateToken(adminResult.data);
+      const tokenResult = generateToken(adminResult.data, rotateResult.sessionId, {
+        ...(requirementResult.enrollmentRequired && { mfa_enroll: true }),
+        ...(passwordExpiry.expired && { pwd_expired: true }),
+      });
 
       if (!tokenResult.success) {
         return res.status(500).json({
@@ -368,14 +2060,25 @@ class AdminController {
         });
       }
 
+      await AuditService.record({
+        action: "auth.token_refresh",
+        context: getRequestContext(req),
+        actor: adminResult.data,
+        target: { type: "admin", id: adminResult.data.id },
+        metadata: { sessionId: rotateResult.sessionId },
+      });
+
       res.json({
         success: true,
         message: "Token refreshed successfully",
         data: {
           accessToken: tokenResult.token,
+          refreshToken: rotateResult.refreshToken,
           tokenType: tokenResult.tokenType,
           expiresIn: tokenResult.expiresIn,
           expiresAt: tokenResult.expiresAt,
+          refreshExpiresAt: rotateResult.expiresAt,
+          passwordExpired: passwordExpiry.expired,
         },
       });
     } catch (error) {
@@ -0,0 +1,20 @@
+import { getJwks } from "../utils/jwt.js";
+
+class WellKnownController {
+  // @route   GET /.well-known/jwks.json
+  // @desc    Public keys for verifying admin tokens
+  // @access  Public
+  async getJwks(req, res) {
+    try {
+      res.set("Cache-Control", "public, max-age=300");
+      res.json(getJwks());
+    } catch (error) {
+      res.status(500).json({
+        error: "Internal Server Error",
+        message: error.message,
+      });
+    }
+  }
+}
+
+export default new WellKnownController();
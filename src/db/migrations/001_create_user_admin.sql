@@ -0,0 +1,23 @@
+-- Admin accounts, as originally created in the Supabase dashboard
+-- The "create" column name is kept as is, since the API and existing data use it
+-- Migrations only add what is missing, so they can also be applied to a database that was set up by hand
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS user_admin (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  fname text NOT NULL,
+  lname text NOT NULL,
+  username text NOT NULL,
+  email text NOT NULL,
+  password text NOT NULL,
+  "create" timestamptz NOT NULL DEFAULT now(),
+  admin_role text NOT NULL,
+  admin_status text NOT NULL DEFAULT 'active',
+  CONSTRAINT user_admin_username_key UNIQUE (username),
+  CONSTRAINT user_admin_email_key UNIQUE (email),
+  CONSTRAINT user_admin_admin_role_check CHECK (admin_role IN ('super_admin', 'admin', 'manager')),
+  CONSTRAINT user_admin_admin_status_check CHECK (admin_status IN ('active', 'inactive', 'suspended'))
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS user_admin;
@@ -0,0 +1,53 @@
+-- Sessions, refresh token revocation, login lockout and password reset
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id uuid PRIMARY KEY,
+  admin_id uuid NOT NULL REFERENCES user_admin (id) ON DELETE CASCADE,
+  current_jti text NOT NULL,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_reason text
+);
+
+CREATE INDEX IF NOT EXISTS admin_sessions_admin_id_idx ON admin_sessions (admin_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti text PRIMARY KEY,
+  admin_id uuid,
+  reason text,
+  revoked_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS revoked_tokens_expires_at_idx ON revoked_tokens (expires_at);
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  key text PRIMARY KEY,
+  failures integer NOT NULL DEFAULT 0,
+  first_failure_at timestamptz,
+  last_failure_at timestamptz,
+  locked_until timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id uuid PRIMARY KEY,
+  admin_id uuid NOT NULL REFERENCES user_admin (id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  requested_ip text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_admin_id_idx ON password_reset_tokens (admin_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP TABLE IF EXISTS login_attempts;
+DROP TABLE IF EXISTS revoked_tokens;
+DROP TABLE IF EXISTS admin_sessions;
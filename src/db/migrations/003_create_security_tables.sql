@@ -0,0 +1,43 @@
+-- Password history, MFA and the role to permission mapping
+
+-- migrate:up
+ALTER TABLE user_admin ADD COLUMN IF NOT EXISTS password_changed_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS admin_password_history (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  admin_id uuid NOT NULL REFERENCES user_admin (id) ON DELETE CASCADE,
+  password_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS admin_password_history_admin_id_idx ON admin_password_history (admin_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS admin_mfa (
+  admin_id uuid PRIMARY KEY REFERENCES user_admin (id) ON DELETE CASCADE,
+  secret text NOT NULL,
+  enabled boolean NOT NULL DEFAULT false,
+  recovery_codes jsonb NOT NULL DEFAULT '[]',
+  last_used_step bigint,
+  confirmed_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS mfa_role_policies (
+  admin_role text PRIMARY KEY,
+  mfa_required boolean NOT NULL DEFAULT false,
+  updated_by uuid,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  admin_role text NOT NULL,
+  permission text NOT NULL,
+  PRIMARY KEY (admin_role, permission)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS mfa_role_policies;
+DROP TABLE IF EXISTS admin_mfa;
+DROP TABLE IF EXISTS admin_password_history;
+ALTER TABLE user_admin DROP COLUMN IF EXISTS password_changed_at;
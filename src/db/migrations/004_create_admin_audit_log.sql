@@ -0,0 +1,39 @@
+-- Append-only audit trail of admin actions
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id uuid PRIMARY KEY,
+  occurred_at timestamptz NOT NULL DEFAULT now(),
+  action text NOT NULL,
+  actor_id uuid,
+  actor_username text,
+  impersonator_id uuid,
+  impersonator_username text,
+  target_type text,
+  target_id text,
+  changes jsonb,
+  metadata jsonb,
+  ip_address text,
+  user_agent text,
+  request_id text
+);
+
+CREATE INDEX IF NOT EXISTS admin_audit_log_occurred_at_idx ON admin_audit_log (occurred_at DESC);
+CREATE INDEX IF NOT EXISTS admin_audit_log_actor_id_idx ON admin_audit_log (actor_id);
+CREATE INDEX IF NOT EXISTS admin_audit_log_target_idx ON admin_audit_log (target_type, target_id);
+
+CREATE OR REPLACE FUNCTION admin_audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_log_append_only ON admin_audit_log;
+
+CREATE TRIGGER admin_audit_log_append_only
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION admin_audit_log_append_only();
+
+-- migrate:down
+DROP TABLE IF EXISTS admin_audit_log;
+DROP FUNCTION IF EXISTS admin_audit_log_append_only();
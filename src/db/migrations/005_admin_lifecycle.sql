@@ -0,0 +1,75 @@
+-- Soft delete, optimistic concurrency, login history, email changes and invitations
+
+-- migrate:up
+ALTER TABLE user_admin
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz,
+  ADD COLUMN IF NOT EXISTS last_login_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by uuid,
+  ALTER COLUMN password DROP NOT NULL;
+
+-- Invited admins are 'pending' until they choose a password
+ALTER TABLE user_admin DROP CONSTRAINT IF EXISTS user_admin_admin_status_check;
+ALTER TABLE user_admin
+  ADD CONSTRAINT user_admin_admin_status_check CHECK (admin_status IN ('active', 'inactive', 'suspended', 'pending'));
+
+CREATE INDEX IF NOT EXISTS user_admin_deleted_at_idx ON user_admin (deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS admin_login_history (
+  id uuid PRIMARY KEY,
+  admin_id uuid REFERENCES user_admin (id) ON DELETE CASCADE,
+  username text,
+  outcome text NOT NULL,
+  reason text,
+  ip_address text,
+  user_agent text,
+  occurred_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS admin_login_history_admin_id_idx ON admin_login_history (admin_id, occurred_at DESC);
+
+CREATE TABLE IF NOT EXISTS admin_email_changes (
+  id uuid PRIMARY KEY,
+  admin_id uuid NOT NULL REFERENCES user_admin (id) ON DELETE CASCADE,
+  new_email text NOT NULL,
+  token_hash text NOT NULL UNIQUE,
+  requested_ip text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz
+);
+
+CREATE TABLE IF NOT EXISTS admin_invitations (
+  id uuid PRIMARY KEY,
+  admin_id uuid NOT NULL REFERENCES user_admin (id) ON DELETE CASCADE,
+  email text NOT NULL,
+  admin_role text NOT NULL,
+  token_hash text NOT NULL UNIQUE,
+  invited_by uuid,
+  send_count integer NOT NULL DEFAULT 1,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_sent_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  accepted_at timestamptz,
+  revoked_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS admin_invitations_created_at_idx ON admin_invitations (created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS admin_invitations;
+DROP TABLE IF EXISTS admin_email_changes;
+DROP TABLE IF EXISTS admin_login_history;
+DROP INDEX IF EXISTS user_admin_deleted_at_idx;
+-- Admins that never accepted their invitation have no password, so they can't be kept
+DELETE FROM user_admin WHERE password IS NULL;
+UPDATE user_admin SET admin_status = 'inactive' WHERE admin_status = 'pending';
+ALTER TABLE user_admin DROP CONSTRAINT IF EXISTS user_admin_admin_status_check;
+ALTER TABLE user_admin
+  ADD CONSTRAINT user_admin_admin_status_check CHECK (admin_status IN ('active', 'inactive', 'suspended'));
+ALTER TABLE user_admin
+  ALTER COLUMN password SET NOT NULL,
+  DROP COLUMN deleted_by,
+  DROP COLUMN deleted_at,
+  DROP COLUMN last_login_at,
+  DROP COLUMN updated_at;
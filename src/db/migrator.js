@@ -0,0 +1,214 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pg from "pg";
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+// Applied versions are recorded here
+const MIGRATIONS_TABLE = "schema_migrations";
+
+// Any fixed number, so two runners never migrate the same database at once
+const MIGRATION_LOCK_ID = 72410533;
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+/**
+ * Split a migration file into its up and down SQL
+ * @param {string} sql - File contents with "-- migrate:up" and "-- migrate:down" markers
+ * @returns {Object} - up and down SQL
+ */
+export const parseMigration = (sql) => {
+  const upIndex = sql.indexOf("-- migrate:up");
+  const downIndex = sql.indexOf("-- migrate:down");
+
+  if (upIndex === -1 || downIndex === -1 || downIndex < upIndex) {
+    throw new Error('Migration needs a "-- migrate:up" section followed by a "-- migrate:down" section');
+  }
+
+  return {
+    up: sql.slice(upIndex + "-- migrate:up".length, downIndex).trim(),
+    down: sql.slice(downIndex + "-- migrate:down".length).trim(),
+  };
+};
+
+/**
+ * Read the migrations in a directory, oldest first
+ * @param {string} dir - Directory of NNN_name.sql files
+ * @returns {Array} - Migrations (version, name, up, down, checksum)
+ */
+export const loadMigrations = (dir = MIGRATIONS_DIR) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".sql"))
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE);
+
+      if (!match) {
+        throw new Error(`Invalid migration file name: ${file} (expected NNN_name.sql)`);
+      }
+
+      const sql = fs.readFileSync(path.join(dir, file), "utf8");
+
+      return {
+        version: match[1],
+        name: match[2],
+        ...parseMigration(sql),
+        checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+
+/**
+ * Connect to Postgres directly, since the Supabase API can't run DDL
+ * @param {string} connectionString - Postgres URL (DATABASE_URL, e.g. the Supabase connection string)
+ * @returns {Promise<Object>} - Connected pg client
+ */
+export const connect = async (connectionString = process.env.DATABASE_URL) => {
+  if (!connectionString) {
+    throw new Error("Missing required DATABASE_URL environment variable");
+  }
+
+  const client = new pg.Client({ connectionString });
+  await client.connect();
+
+  return client;
+};
+
+/**
+ * Applies and rolls back versioned SQL migrations, one transaction per migration
+ */
+export class Migrator {
+  constructor(client, migrations = loadMigrations()) {
+    this.client = client;
+    this.migrations = migrations;
+  }
+
+  async ensureTable() {
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+        version text PRIMARY KEY,
+        name text NOT NULL,
+        checksum text NOT NULL,
+        applied_at timestamptz NOT NULL DEFAULT now()
+      )
+    `);
+  }
+
+  async applied() {
+    const { rows } = await this.client.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE}`);
+    return new Map(rows.map((row) => [row.version, row]));
+  }
+
+  // Hold the advisory lock while running fn
+  async withLock(fn) {
+    await this.ensureTable();
+    await this.client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+
+    try {
+      return await fn();
+    } finally {
+      await this.client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]);
+    }
+  }
+
+  async inTransaction(sql, record) {
+    try {
+      await this.client.query("BEGIN");
+      await this.client.query(sql);
+      await record();
+      await this.client.query("COMMIT");
+    } catch (error) {
+      await this.client.query("ROLLBACK");
+      throw error;
+    }
+  }
+
+  /**
+   * Every known migration with whether it has been applied
+   * Applied versions missing from the repository, and applied files that changed since, are reported too
+   * @returns {Promise<Array>} - version, name, state (applied, pending, changed or missing), applied_at
+   */
+  async status() {
+    await this.ensureTable();
+    const applied = await this.applied();
+
+    const known = this.migrations.map((migration) => {
+      const row = applied.get(migration.version);
+
+      if (!row) {
+        return { version: migration.version, name: migration.name, state: "pending", applied_at: null };
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        state: row.checksum === migration.checksum ? "applied" : "changed",
+        applied_at: row.applied_at,
+      };
+    });
+
+    const missing = [...applied.values()]
+      .filter((row) => !this.migrations.some((migration) => migration.version === row.version))
+      .map((row) => ({ version: row.version, name: row.name, state: "missing", applied_at: row.applied_at }));
+
+    return [...known, ...missing].sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  }
+
+  /**
+   * Apply pending migrations, oldest first
+   * @param {Object} options - steps (apply at most this many, all by default)
+   * @returns {Promise<Array>} - Applied migrations
+   */
+  async up({ steps = Infinity } = {}) {
+    return this.withLock(async () => {
+      const applied = await this.applied();
+      const pending = this.migrations.filter((migration) => !applied.has(migration.version)).slice(0, steps);
+
+      for (const migration of pending) {
+        await this.inTransaction(migration.up, () =>
+          this.client.query(`INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`, [
+            migration.version,
+            migration.name,
+            migration.checksum,
+          ])
+        );
+        console.log(`⬆️  Applied ${migration.version}_${migration.name}`);
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Roll back the most recently applied migrations, newest first
+   * @param {Object} options - steps (default 1)
+   * @returns {Promise<Array>} - Rolled back migrations
+   */
+  async down({ steps = 1 } = {}) {
+    return this.withLock(async () => {
+      const applied = await this.applied();
+      const versions = [...applied.keys()].sort((a, b) => b.localeCompare(a, undefined, { numeric: true })).slice(0, steps);
+
+      const rollbacks = versions.map((version) => {
+        const migration = this.migrations.find((known) => known.version === version);
+
+        if (!migration) {
+          throw new Error(`Can't roll back ${version}: its migration file is missing`);
+        }
+
+        return migration;
+      });
+
+      for (const migration of rollbacks) {
+        await this.inTransaction(migration.down, () =>
+          this.client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version])
+        );
+        console.log(`⬇️  Rolled back ${migration.version}_${migration.name}`);
+      }
+
+      return rollbacks;
+    });
+  }
+}
@@ -0,0 +1,39 @@
+import bcrypt from "bcryptjs";
+import { v4 as uuidv4 } from "uuid";
+
+// One admin per role, all sharing SEED_ADMIN_PASSWORD
+const ADMINS = [
+  { fname: "Dev", lname: "Root", username: "devroot", email: "devroot@funch.local", admin_role: "super_admin" },
+  { fname: "Dev", lname: "Admin", username: "devadmin", email: "devadmin@funch.local", admin_role: "admin" },
+  { fname: "Dev", lname: "Manager", username: "devmanager", email: "devmanager@funch.local", admin_role: "manager" },
+];
+
+/**
+ * Create the development admins, leaving existing ones untouched
+ * @param {Object} client - Connected pg client
+ * @returns {Promise<number>} - Number of admins created
+ */
+export const seed = async (client) => {
+  const password = process.env.SEED_ADMIN_PASSWORD || "Funch-Dev-2024";
+  const hashedPassword = await bcrypt.hash(password, 12);
+  let created = 0;
+
+  for (const admin of ADMINS) {
+    const { rows } = await client.query(
+      `INSERT INTO user_admin (id, fname, lname, username, email, password, admin_role, admin_status,
+         "create", updated_at, password_changed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', now(), now(), now())
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      [uuidv4(), admin.fname, admin.lname, admin.username, admin.email, hashedPassword, admin.admin_role]
+    );
+
+    if (rows.length > 0) {
+      await client.query("INSERT INTO admin_password_history (admin_id, password_hash) VALUES ($1, $2)", [rows[0].id, hashedPassword]);
+      console.log(`👤 Created ${admin.admin_role} ${admin.username}`);
+      created++;
+    }
+  }
+
+  return created;
+};
@@ -2,14 +2,37 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import app from "./app.js";
+import AdminService from "./services/adminService.js";
+import { DB_DRIVER } from "./config/database.js";
 
 const PORT = process.env.PORT || 3001;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set dormant admins to inactive now and once a day (opt in with ADMIN_DORMANT_AUTO_DEACTIVATE=true)
+const deactivateDormantAdmins = async () => {
+  const result = await AdminService.deactivateDormantAdmins();
+
+  if (!result.success) {
+    console.error("❌ Dormant admin deactivation failed:", result.error);
+  } else if (result.deactivated > 0 || result.failed > 0) {
+    console.log(`💤 Deactivated ${result.deactivated} dormant admin(s), ${result.failed} failed`);
+  }
+};
+
+if (process.env.ADMIN_DORMANT_AUTO_DEACTIVATE === "true") {
+  deactivateDormantAdmins();
+  setInterval(deactivateDormantAdmins, DAY_MS).unref();
+}
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Funch Hotel Backend running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`🔗 Server URL: http://localhost:${PORT}`);
+
+  if (DB_DRIVER === "memory") {
+    console.warn("⚠️ Using the in-memory database driver, data is lost on restart");
+  }
 });
 
 // Graceful shutdown
@@ -1,4 +1,10 @@
-import { body, validationResult } from "express-validator";
+import { body, param, query, validationResult, checkExact } from "express-validator";
+import { checkPassword } from "../utils/passwordPolicy.js";
+import { ALL_PERMISSIONS } from "../config/permissions.js";
+import { ADMIN_SORT_FIELDS, ADMIN_EXPORT_COLUMNS, MAX_PAGE_SIZE, MAX_BULK_ITEMS } from "../services/adminService.js";
+import { LOGIN_OUTCOMES } from "../services/loginHistoryService.js";
+import { INVITATION_STATUSES } from "../services/invitationService.js";
+import { parseCsv } from "../utils/csv.js";
 
 // Handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -12,8 +18,21 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password must satisfy the configured password policy
+// The services check again with the stored username/email when they aren't part of the request
+const passwordPolicyCheck = (value, { req }) => {
+  const result = checkPassword(value, { username: req.body.username, email: req.body.email });
+
+  if (!result.isValid) {
+    throw new Error(result.errors.join("; "));
+  }
+
+  return true;
+};
+
 // Admin validation rules
-export const validateAdminCreate = [
+// Identity and role of a new admin, shared by direct creation and invitations
+const adminIdentityRules = [
   body("fname")
     .notEmpty()
     .trim()
@@ -42,13 +61,122 @@ export const validateAdminCreate = [
     .isLength({ max: 100 })
     .withMessage("Email must not exceed 100 characters"),
 
-  body("password")
-    .isLength({ min: 6, max: 128 })
-    .withMessage("Password must be between 6-128 characters")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage("Password must contain at least one lowercase letter, one uppercase letter, and one number"),
-
   body("admin_role").isIn(["super_admin", "admin", "manager"]).withMessage("Invalid admin role. Must be: super_admin, admin, or manager"),
+];
+
+// Shared with bulk import, which runs them against every row
+const adminCreateRules = [
+  ...adminIdentityRules,
+
+  body("password").custom(passwordPolicyCheck),
+
+  body("admin_status")
+    .isIn(["active", "inactive", "suspended"])
+    .withMessage("Invalid admin status. Must be: active, inactive, or suspended"),
+];
+
+export const validateAdminCreate = [...adminCreateRules, handleValidationErrors];
+
+export const validateInvitationCreate = [...adminIdentityRules, handleValidationErrors];
+
+export const validateInvitationAccept = [
+  body("token").notEmpty().withMessage("Invitation token is required"),
+
+  body("password").custom(passwordPolicyCheck),
+
+  handleValidationErrors,
+];
+
+export const validateInvitationListQuery = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1-${MAX_PAGE_SIZE}`)
+    .toInt(),
+
+  query("status")
+    .optional()
+    .isIn(INVITATION_STATUSES)
+    .withMessage(`Invalid status. Must be: ${INVITATION_STATUSES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+// Read bulk import rows from a CSV body or a JSON body ({ admins: [...] } or a bare array)
+const parseAdminBulkRows = (req, res, next) => {
+  try {
+    let rows;
+
+    if (req.is("text/csv")) {
+      rows = parseCsv(typeof req.body === "string" ? req.body : "");
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body.admins;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error("Provide at least one admin as CSV or as a JSON array in admins");
+    }
+
+    if (rows.length > MAX_BULK_ITEMS) {
+      throw new Error(`A bulk import can contain at most ${MAX_BULK_ITEMS} admins`);
+    }
+
+    if (rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw new Error("Every admin must be an object");
+    }
+
+    req.bulkRows = rows;
+    next();
+  } catch (error) {
+    return res.status(400).json({
+      error: "Validation Error",
+      message: error.message,
+    });
+  }
+};
+
+// Run the create rules against every row, keeping the sanitized values and the errors of each row
+const validateAdminBulkRows = async (req, res, next) => {
+  try {
+    req.bulkRows = await Promise.all(
+      req.bulkRows.map(async (row, index) => {
+        const rowReq = { body: { ...row } };
+        await Promise.all(adminCreateRules.map((rule) => rule.run(rowReq)));
+
+        return {
+          row: index + 1,
+          data: rowReq.body,
+          errors: validationResult(rowReq)
+            .array()
+            .map((error) => ({ field: error.path, message: error.msg })),
+        };
+      })
+    );
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const validateAdminBulkCreate = [
+  query("dryRun").optional().isBoolean().withMessage("dryRun must be true or false").toBoolean(),
+
+  handleValidationErrors,
+
+  parseAdminBulkRows,
+
+  validateAdminBulkRows,
+];
+
+export const validateAdminBulkStatus = [
+  body("ids")
+    .isArray({ min: 1, max: MAX_BULK_ITEMS })
+    .withMessage(`ids must be an array of 1-${MAX_BULK_ITEMS} admin IDs`),
+
+  body("ids.*").isUUID().withMessage("Every ID must be a valid UUID"),
 
   body("admin_status")
     .isIn(["active", "inactive", "suspended"])
@@ -78,12 +206,7 @@ export const validateAdminUpdate = [
     .isLength({ max: 100 })
     .withMessage("Email must not exceed 100 characters"),
 
-  body("password")
-    .optional()
-    .isLength({ min: 6, max: 128 })
-    .withMessage("Password must be between 6-128 characters")
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage("Password must contain at least one lowercase letter, one uppercase letter, and one number"),
+  body("password").optional().custom(passwordPolicyCheck),
 
   body("admin_role")
     .optional()
@@ -98,6 +221,120 @@ export const validateAdminUpdate = [
   handleValidationErrors,
 ];
 
+export const validateAdminListQuery = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1-${MAX_PAGE_SIZE}`)
+    .toInt(),
+
+  query("admin_role")
+    .optional()
+    .isIn(["super_admin", "admin", "manager"])
+    .withMessage("Invalid admin role. Must be: super_admin, admin, or manager"),
+
+  query("admin_status")
+    .optional()
+    .isIn(["active", "inactive", "suspended", "pending"])
+    .withMessage("Invalid admin status. Must be: active, inactive, suspended, or pending"),
+
+  query("search").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Search must be between 1-100 characters"),
+
+  query("sort")
+    .optional()
+    .isIn(ADMIN_SORT_FIELDS)
+    .withMessage(`Invalid sort field. Must be: ${ADMIN_SORT_FIELDS.join(", ")}`),
+
+  query("order").optional().isIn(["asc", "desc"]).withMessage("Order must be: asc or desc"),
+
+  handleValidationErrors,
+];
+
+export const validateAdminExportQuery = [
+  query("format").optional().isIn(["csv", "xlsx"]).withMessage("Format must be: csv or xlsx"),
+
+  query("columns")
+    .optional()
+    .customSanitizer((value) => String(value).split(",").map((column) => column.trim()).filter(Boolean))
+    .custom((columns) => columns.length > 0 && columns.every((column) => ADMIN_EXPORT_COLUMNS.includes(column)))
+    .withMessage(`Invalid columns. Choose from: ${ADMIN_EXPORT_COLUMNS.join(", ")}`),
+
+  query("admin_role")
+    .optional()
+    .isIn(["super_admin", "admin", "manager"])
+    .withMessage("Invalid admin role. Must be: super_admin, admin, or manager"),
+
+  query("admin_status")
+    .optional()
+    .isIn(["active", "inactive", "suspended", "pending"])
+    .withMessage("Invalid admin status. Must be: active, inactive, suspended, or pending"),
+
+  query("search").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Search must be between 1-100 characters"),
+
+  query("sort")
+    .optional()
+    .isIn(ADMIN_SORT_FIELDS)
+    .withMessage(`Invalid sort field. Must be: ${ADMIN_SORT_FIELDS.join(", ")}`),
+
+  query("order").optional().isIn(["asc", "desc"]).withMessage("Order must be: asc or desc"),
+
+  handleValidationErrors,
+];
+
+export const validateLoginHistoryQuery = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1-${MAX_PAGE_SIZE}`)
+    .toInt(),
+
+  query("outcome")
+    .optional()
+    .isIn(LOGIN_OUTCOMES)
+    .withMessage(`Invalid outcome. Must be: ${LOGIN_OUTCOMES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+export const validateAdminStatsQuery = [
+  query("dormantDays").optional().isInt({ min: 1, max: 3650 }).withMessage("dormantDays must be between 1-3650").toInt(),
+
+  handleValidationErrors,
+];
+
+export const validateAuditQuery = [
+  query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer").toInt(),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`Limit must be between 1-${MAX_PAGE_SIZE}`)
+    .toInt(),
+
+  query("actor_id").optional().isUUID().withMessage("Actor ID must be a valid UUID"),
+
+  query("impersonator_id").optional().isUUID().withMessage("Impersonator ID must be a valid UUID"),
+
+  query("target_id").optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage("Target ID must be between 1-100 characters"),
+
+  query("target_type").optional().isIn(["admin", "role"]).withMessage("Invalid target type. Must be: admin or role"),
+
+  query("action")
+    .optional()
+    .matches(/^[a-z_]+(\.([a-z_]+|\*))?$/)
+    .withMessage("Invalid action. Use an action like admin.update or a prefix like admin.*"),
+
+  query("from").optional().isISO8601().withMessage("From must be an ISO 8601 date"),
+
+  query("to").optional().isISO8601().withMessage("To must be an ISO 8601 date"),
+
+  handleValidationErrors,
+];
+
 export const validateAdminStatus = [
   body("admin_status")
     .isIn(["active", "inactive", "suspended"])
@@ -114,9 +351,133 @@ export const validateAdminLogin = [
   handleValidationErrors,
 ];
 
+export const validatePasswordForgot = [
+  body("email").isEmail().normalizeEmail().withMessage("Valid email is required"),
+
+  handleValidationErrors,
+];
+
+export const validatePasswordReset = [
+  body("token").notEmpty().withMessage("Reset token is required"),
+
+  body("password").custom(passwordPolicyCheck),
+
+  handleValidationErrors,
+];
+
+// Only profile fields; role, status, email and password have their own endpoints
+export const validateProfileUpdate = [
+  checkExact(
+    [
+      body("fname")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("First name must not be empty")
+        .isLength({ max: 50 })
+        .withMessage("First name must not exceed 50 characters"),
+
+      body("lname")
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage("Last name must not be empty")
+        .isLength({ max: 50 })
+        .withMessage("Last name must not exceed 50 characters"),
+    ],
+    { message: "Only fname and lname can be changed here" }
+  ),
+
+  handleValidationErrors,
+];
+
+export const validatePasswordChange = [
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+
+  body("newPassword")
+    .custom(passwordPolicyCheck)
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage("New password must be different from the current password"),
+
+  handleValidationErrors,
+];
+
+export const validateEmailChange = [
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required")
+    .isLength({ max: 100 })
+    .withMessage("Email must not exceed 100 characters"),
+
+  handleValidationErrors,
+];
+
+export const validateEmailConfirm = [
+  body("token").notEmpty().withMessage("Verification token is required"),
+
+  handleValidationErrors,
+];
+
+export const validateMfaLogin = [
+  body("mfaToken").notEmpty().withMessage("MFA token is required"),
+
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage("A 6-digit code or a recovery code is required"),
+
+  body("recoveryCode").optional().isString().trim().notEmpty().withMessage("Recovery code must not be empty"),
+
+  handleValidationErrors,
+];
+
+export const validateMfaCode = [
+  body("code").matches(/^\d{6}$/).withMessage("Code must be 6 digits"),
+
+  handleValidationErrors,
+];
+
+export const validateMfaDisable = [
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage("A 6-digit code or a recovery code is required"),
+
+  body("recoveryCode").optional().isString().trim().notEmpty().withMessage("Recovery code must not be empty"),
+
+  handleValidationErrors,
+];
+
+export const validateMfaPolicy = [
+  param("role").isIn(["super_admin", "admin", "manager"]).withMessage("Invalid admin role. Must be: super_admin, admin, or manager"),
+
+  body("mfa_required").isBoolean({ strict: true }).withMessage("mfa_required must be a boolean"),
+
+  handleValidationErrors,
+];
+
+export const validateImpersonation = [
+  body("reason").optional().isString().trim().isLength({ max: 500 }).withMessage("Reason must be at most 500 characters"),
+
+  handleValidationErrors,
+];
+
+export const validateRolePermissions = [
+  param("role").isIn(["admin", "manager"]).withMessage("Invalid admin role. Must be: admin or manager"),
+
+  body("permissions").isArray().withMessage("Permissions must be an array"),
+
+  body("permissions.*").isIn(ALL_PERMISSIONS).withMessage(`Invalid permission. Must be one of: ${ALL_PERMISSIONS.join(", ")}`),
+
+  handleValidationErrors,
+];
+
 // UUID parameter validation
-export const validateUUID = (req, res, next) => {
-  const { id } = req.params;
+export const validateUUIDParam = (paramName) => (req, res, next) => {
+  const id = req.params[paramName];
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
   if (!uuidRegex.test(id)) {
@@ -128,3 +489,5 @@ export const validateUUID = (req, res, next) => {
 
   next();
 };
+
+export const validateUUID = validateUUIDParam("id");
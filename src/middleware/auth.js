@@ -1,5 +1,44 @@
 import { verifyToken, extractTokenFromHeader } from "../utils/jwt.js";
 import AdminService from "../services/adminService.js";
+import SessionService from "../services/sessionService.js";
+import LoginThrottleService from "../services/loginThrottleService.js";
+import PermissionService from "../services/permissionService.js";
+import tokenRevocationStore from "../stores/tokenRevocationStore.js";
+import { SUPER_ADMIN_ROLE } from "../config/permissions.js";
+
+// Check that the admin named in an impersonation token's act claim may still impersonate
+const resolveImpersonator = async (act) => {
+  const impersonatorResult = await AdminService.getAdminAccess(act.id);
+
+  if (
+    !impersonatorResult.success ||
+    impersonatorResult.data.admin_status !== "active" ||
+    impersonatorResult.data.admin_role !== SUPER_ADMIN_ROLE
+  ) {
+    return { success: true, isValid: false };
+  }
+
+  // Ending the impersonator's own session ends the impersonation too
+  if (act.sid) {
+    const sessionResult = await SessionService.isSessionActive(act.sid);
+
+    if (!sessionResult.success) {
+      return { success: false, error: sessionResult.error };
+    }
+
+    if (!sessionResult.isActive) {
+      return { success: true, isValid: false };
+    }
+  }
+
+  const { id, username, fname, lname, admin_role } = impersonatorResult.data;
+
+  return {
+    success: true,
+    isValid: true,
+    impersonator: { id, username, fname, lname, admin_role, sessionId: act.sid || null },
+  };
+};
 
 /**
  * Authentication middleware - Verify JWT token
@@ -31,8 +70,48 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Check if token was revoked (e.g. by logout)
+    if (verifyResult.decoded.jti) {
+      const revocationResult = await tokenRevocationStore.isRevoked(verifyResult.decoded.jti);
+
+      if (!revocationResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Token revocation check failed",
+        });
+      }
+
+      if (revocationResult.isRevoked) {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "Token has been revoked",
+          revoked: true,
+        });
+      }
+    }
+
+    // Check if the session the token was issued for is still active
+    if (verifyResult.decoded.sid) {
+      const sessionResult = await SessionService.isSessionActive(verifyResult.decoded.sid);
+
+      if (!sessionResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Session check failed",
+        });
+      }
+
+      if (!sessionResult.isActive) {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "Session has been revoked",
+          revoked: true,
+        });
+      }
+    }
+
     // Check if admin still exists and is active
-    const adminResult = await AdminService.getAdminById(verifyResult.decoded.id);
+    const adminResult = await AdminService.getAdminAccess(verifyResult.decoded.id);
 
     if (!adminResult.success) {
       return res.status(401).json({
@@ -49,6 +128,30 @@ export const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Token was issued to a super admin acting as this admin
+    let impersonator = null;
+
+    if (verifyResult.decoded.act) {
+      const impersonatorResult = await resolveImpersonator(verifyResult.decoded.act);
+
+      if (!impersonatorResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Impersonation check failed",
+        });
+      }
+
+      if (!impersonatorResult.isValid) {
+        return res.status(401).json({
+          error: "Authentication Failed",
+          message: "Impersonation is no longer allowed",
+          revoked: true,
+        });
+      }
+
+      impersonator = impersonatorResult.impersonator;
+    }
+
     // Add user info to request object
     req.user = {
       id: verifyResult.decoded.id,
@@ -56,11 +159,45 @@ export const authenticateToken = async (req, res, next) => {
       email: verifyResult.decoded.email,
       fname: verifyResult.decoded.fname,
       lname: verifyResult.decoded.lname,
-      admin_role: verifyResult.decoded.admin_role,
+      admin_role: adminResult.data.admin_role, // Get latest role, the token may predate a role change
       admin_status: adminResult.data.admin_status, // Get latest status
+      sessionId: verifyResult.decoded.sid || null,
+      impersonator: impersonator,
       tokenData: verifyResult.decoded,
     };
 
+    // The audit log only has writes, so tag every request made while impersonating (reads too)
+    if (impersonator) {
+      console.log(
+        "🎭 [impersonation]",
+        JSON.stringify({
+          impersonatorId: impersonator.id,
+          targetId: req.user.id,
+          method: req.method,
+          url: req.originalUrl,
+          requestId: req.id,
+        })
+      );
+    }
+
+    // Role requires two-factor authentication but the admin hasn't enrolled yet
+    if (verifyResult.decoded.mfa_enroll && !req.allowPendingMfaEnrollment) {
+      return res.status(403).json({
+        error: "Access Denied",
+        message: "Two-factor authentication enrollment is required",
+        mfaEnrollmentRequired: true,
+      });
+    }
+
+    // Password is older than the maximum age and has to be changed first
+    if (verifyResult.decoded.pwd_expired && !req.allowExpiredPassword) {
+      return res.status(403).json({
+        error: "Access Denied",
+        message: "Password has expired and must be changed",
+        passwordExpired: true,
+      });
+    }
+
     next();
   } catch (error) {
     return res.status(500).json({
@@ -70,6 +207,40 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Let tokens issued before mandatory two-factor enrollment reach this route
+ * Must run before authenticateToken
+ */
+export const allowPendingMfaEnrollment = (req, res, next) => {
+  req.allowPendingMfaEnrollment = true;
+  next();
+};
+
+/**
+ * Let tokens of admins with an expired password reach this route (to change it)
+ * Must run before authenticateToken
+ */
+export const allowExpiredPassword = (req, res, next) => {
+  req.allowExpiredPassword = true;
+  next();
+};
+
+/**
+ * Refuse a route to impersonation tokens (e.g. password and role changes)
+ * Must run after authenticateToken
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonator) {
+    return res.status(403).json({
+      error: "Access Denied",
+      message: "Not allowed while impersonating another admin",
+      impersonating: true,
+    });
+  }
+
+  next();
+};
+
 /**
  * Authorization middleware - Check admin roles
  * @param {Array} allowedRoles - Array of allowed roles
@@ -106,54 +277,39 @@ export const requireRole = (allowedRoles) => {
 };
 
 /**
- * Super Admin only middleware
- */
-export const requireSuperAdmin = requireRole(["super_admin"]);
-
-/**
- * Admin and above middleware (super_admin, admin)
- */
-export const requireAdmin = requireRole(["super_admin", "admin"]);
-
-/**
- * Manager and above middleware (super_admin, admin, manager)
- */
-export const requireManager = requireRole(["super_admin", "admin", "manager"]);
-
-/**
- * Self or higher role middleware - Allow user to access their own data or higher role to access others
- * @param {string} paramName - Parameter name containing user ID (default: 'id')
+ * Authorization middleware - Check permissions of the admin's role
+ * @param {...string} permissions - Permissions that are all required
  * @returns {Function} Middleware function
  */
-export const requireSelfOrHigherRole = (paramName = "id") => {
-  return (req, res, next) => {
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         return res.status(401).json({
           error: "Authentication Required",
-          message: "User must be authenticated",
+          message: "User must be authenticated to access this resource",
         });
       }
 
-      const targetUserId = req.params[paramName];
-      const currentUserId = req.user.id;
-      const userRole = req.user.admin_role;
+      const result = await PermissionService.hasPermissions(req.user.admin_role, permissions);
 
-      // Allow if accessing own data
-      if (targetUserId === currentUserId) {
-        return next();
+      if (!result.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Authorization check failed",
+        });
       }
 
-      // Allow if user has admin privileges
-      if (["super_admin", "admin"].includes(userRole)) {
-        return next();
+      if (!result.allowed) {
+        return res.status(403).json({
+          error: "Access Denied",
+          message: `Access denied. Required permissions: ${permissions.join(", ")}`,
+          userRole: req.user.admin_role,
+          missingPermissions: result.missing,
+        });
       }
 
-      // Deny access
-      return res.status(403).json({
-        error: "Access Denied",
-        message: "You can only access your own data or need admin privileges",
-      });
+      next();
     } catch (error) {
       return res.status(500).json({
         error: "Internal Server Error",
@@ -163,6 +319,24 @@ export const requireSelfOrHigherRole = (paramName = "id") => {
   };
 };
 
+/**
+ * Self or permission middleware - Allow user to access their own data, or others' with the permission
+ * @param {string} permission - Permission needed to access other admins
+ * @param {string} paramName - Parameter name containing user ID (default: 'id')
+ * @returns {Function} Middleware function
+ */
+export const requireSelfOrPermission = (permission, paramName = "id") => {
+  const checkPermission = requirePermission(permission);
+
+  return (req, res, next) => {
+    if (req.user && req.params[paramName] === req.user.id) {
+      return next();
+    }
+
+    return checkPermission(req, res, next);
+  };
+};
+
 /**
  * Optional authentication middleware - Add user info if token is present, but don't require it
  * @param {Object} req - Express request object
@@ -190,18 +364,53 @@ export const optionalAuth = async (req, res, next) => {
       return next(); // Continue without user info
     }
 
-    // Try to get admin info
-    const adminResult = await AdminService.getAdminById(verifyResult.decoded.id);
+    if (verifyResult.decoded.jti) {
+      const revocationResult = await tokenRevocationStore.isRevoked(verifyResult.decoded.jti);
+
+      if (!revocationResult.success || revocationResult.isRevoked) {
+        return next(); // Continue without user info
+      }
+    }
+
+    if (verifyResult.decoded.sid) {
+      const sessionResult = await SessionService.isSessionActive(verifyResult.decoded.sid);
+
+      if (!sessionResult.success || !sessionResult.isActive) {
+        return next(); // Continue without user info
+      }
+    }
+
+    let impersonator = null;
+
+    if (verifyResult.decoded.act) {
+      const impersonatorResult = await resolveImpersonator(verifyResult.decoded.act);
+
+      if (!impersonatorResult.success || !impersonatorResult.isValid) {
+        return next(); // Continue without user info
+      }
+
+      impersonator = impersonatorResult.impersonator;
+    }
 
-    if (adminResult.success && adminResult.data.admin_status === "active") {
+    // Try to get admin info
+    const adminResult = await AdminService.getAdminAccess(verifyResult.decoded.id);
+
+    if (
+      adminResult.success &&
+      adminResult.data.admin_status === "active" &&
+      !verifyResult.decoded.mfa_enroll &&
+      !verifyResult.decoded.pwd_expired
+    ) {
       req.user = {
         id: verifyResult.decoded.id,
         username: verifyResult.decoded.username,
         email: verifyResult.decoded.email,
         fname: verifyResult.decoded.fname,
         lname: verifyResult.decoded.lname,
-        admin_role: verifyResult.decoded.admin_role,
+        admin_role: adminResult.data.admin_role,
         admin_status: adminResult.data.admin_status,
+        sessionId: verifyResult.decoded.sid || null,
+        impersonator: impersonator,
         tokenData: verifyResult.decoded,
       };
     }
@@ -214,56 +423,78 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Rate limiting for login attempts (basic implementation)
- * @param {number} maxAttempts - Maximum attempts per window
- * @param {number} windowMs - Time window in milliseconds
+ * Throttle failed login attempts per IP and per account
+ * Only failed attempts count; an account is locked with exponential backoff after too many failures
+ * @param {Object} options - Limiter options
+ * @param {Function} options.getUsername - Extracts the account name from the request
+ * @param {Array} options.failureStatuses - Response statuses that count as a failed attempt
+ * @param {boolean} options.countAllRequests - Count every request, not just failures (e.g. for endpoints that always succeed)
  * @returns {Function} Middleware function
  */
-export const loginRateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
-  const attempts = new Map();
+export const loginRateLimit = ({
+  getUsername = (req) => req.body && req.body.username,
+  failureStatuses = [401],
+  countAllRequests = false,
+} = {}) => {
+  return async (req, res, next) => {
+    try {
+      const ip = req.ip || req.connection.remoteAddress;
+      const username = getUsername(req) || null;
 
-  return (req, res, next) => {
-    const identifier = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
+      const checkResult = await LoginThrottleService.check({ ip, username });
 
-    // Clean old entries
-    for (const [key, data] of attempts.entries()) {
-      if (now - data.firstAttempt > windowMs) {
-        attempts.delete(key);
+      if (!checkResult.success) {
+        return res.status(500).json({
+          error: "Internal Server Error",
+          message: "Login throttle check failed",
+        });
       }
-    }
 
-    const userAttempts = attempts.get(identifier);
+      if (checkResult.blocked) {
+        res.set("Retry-After", String(checkResult.retryAfter));
+        return res.status(429).json({
+          error: "Too Many Requests",
+          message:
+            checkResult.scope === "account"
+              ? `Account temporarily locked after too many failed login attempts. Try again in ${checkResult.retryAfter} seconds`
+              : `Too many login attempts. Try again in ${checkResult.retryAfter} seconds`,
+          retryAfter: checkResult.retryAfter,
+        });
+      }
+
+      // Record the outcome once the handler has answered
+      res.on("finish", async () => {
+        let result = { success: true };
+
+        if (countAllRequests || failureStatuses.includes(res.statusCode)) {
+          result = await LoginThrottleService.recordFailure({ ip, username: countAllRequests ? null : username });
+        } else if (res.statusCode < 300 && username && !res.locals.mfaPending) {
+          result = await LoginThrottleService.recordSuccess({ username });
+        }
 
-    if (!userAttempts) {
-      attempts.set(identifier, {
-        count: 1,
-        firstAttempt: now,
+        if (!result.success) {
+          console.error("❌ Failed to record login attempt:", result.error);
+        }
       });
-      return next();
-    }
 
-    if (userAttempts.count >= maxAttempts) {
-      const timeLeft = Math.ceil((windowMs - (now - userAttempts.firstAttempt)) / 1000);
-      return res.status(429).json({
-        error: "Too Many Requests",
-        message: `Too many login attempts. Try again in ${timeLeft} seconds`,
-        retryAfter: timeLeft,
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        error: "Internal Server Error",
+        message: "Login throttle check failed",
       });
     }
-
-    userAttempts.count++;
-    next();
   };
 };
 
 export default {
   authenticateToken,
+  allowPendingMfaEnrollment,
+  allowExpiredPassword,
+  denyImpersonation,
   requireRole,
-  requireSuperAdmin,
-  requireAdmin,
-  requireManager,
-  requireSelfOrHigherRole,
+  requirePermission,
+  requireSelfOrPermission,
   optionalAuth,
   loginRateLimit,
 };
@@ -0,0 +1,21 @@
+import { v4 as uuidv4 } from "uuid";
+
+// Accept a caller-supplied ID only if it looks sane, so it can't be used to inject into logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Request ID middleware - Tag every request with an ID (from X-Request-Id or a new UUID)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get("x-request-id");
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set("X-Request-Id", req.id);
+
+  next();
+};
+
+export default requestId;
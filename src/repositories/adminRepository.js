@@ -0,0 +1,331 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+// Columns that no two admins may share, soft-deleted ones included
+const UNIQUE_FIELDS = ["username", "email"];
+
+// Copy a row, keeping only the requested columns (all of them without a list)
+const pick = (row, columns) => (columns ? Object.fromEntries(columns.map((column) => [column, row[column] ?? null])) : { ...row });
+
+// Order like Postgres: nulls last when ascending, first when descending
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const duplicateError = (field) => `Duplicate ${field}: already exists`;
+
+/**
+ * In-memory admin repository
+ * Only suitable for local development and a single process - admins are lost on restart
+ * Enforces the same unique username/email constraint as the database
+ */
+export class MemoryAdminRepository {
+  constructor(rows = []) {
+    this.admins = new Map(rows.map((row) => [row.id, { ...row }]));
+  }
+
+  // Live admins match unless deleted is true (deleted only) or "any"
+  matchesDeleted(row, deleted) {
+    if (deleted === "any") return true;
+    return deleted ? Boolean(row.deleted_at) : !row.deleted_at;
+  }
+
+  // Name the first unique field another admin already uses
+  findConflictingField(row, excludeId = null) {
+    return UNIQUE_FIELDS.find(
+      (field) => row[field] && [...this.admins.values()].some((admin) => admin.id !== excludeId && admin[field] === row[field])
+    );
+  }
+
+  /**
+   * List live admins
+   * @param {Object} options - filters (admin_role, admin_status, search), sort, ascending, offset, limit, columns
+   * @returns {Promise<Object>} - Admins and total count of matches
+   */
+  async list({ filters = {}, sort = "create", ascending = false, offset = 0, limit, columns } = {}) {
+    const { admin_role, admin_status, search } = filters;
+    const needle = search ? search.toLowerCase() : null;
+
+    const matched = [...this.admins.values()]
+      .filter(
+        (row) =>
+          !row.deleted_at &&
+          (!admin_role || row.admin_role === admin_role) &&
+          (!admin_status || row.admin_status === admin_status) &&
+          (!needle || ["fname", "lname", "username", "email"].some((column) => (row[column] || "").toLowerCase().includes(needle)))
+      )
+      .sort((a, b) => (ascending ? 1 : -1) * compareValues(a[sort], b[sort]) || compareValues(a.id, b.id));
+
+    const page = limit === undefined ? matched.slice(offset) : matched.slice(offset, offset + limit);
+
+    return {
+      success: true,
+      data: page.map((row) => pick(row, columns)),
+      total: matched.length,
+    };
+  }
+
+  /**
+   * Find an admin by ID
+   * @param {string} id - Admin ID
+   * @param {Object} options - columns, includeDeleted
+   * @returns {Promise<Object>} - Admin or null
+   */
+  async findById(id, { columns, includeDeleted = false } = {}) {
+    const row = this.admins.get(id);
+
+    if (!row || !this.matchesDeleted(row, includeDeleted ? "any" : false)) {
+      return { success: true, data: null };
+    }
+
+    return { success: true, data: pick(row, columns) };
+  }
+
+  /**
+   * Find a live admin with the given field values
+   * @param {Object} match - Field values, e.g. { username, admin_status }
+   * @param {Object} options - columns
+   * @returns {Promise<Object>} - Admin or null
+   */
+  async findOne(match, { columns } = {}) {
+    const row = [...this.admins.values()].find(
+      (admin) => !admin.deleted_at && Object.entries(match).every(([field, value]) => admin[field] === value)
+    );
+
+    return { success: true, data: row ? pick(row, columns) : null };
+  }
+
+  /**
+   * Find admins (soft-deleted included) already using any of the given usernames or emails
+   * @param {Object} values - { username: [...], email: [...] }
+   * @param {Object} options - excludeId (the admin being changed)
+   * @returns {Promise<Object>} - Matching admins (id, username, email)
+   */
+  async findConflicts(values, { excludeId = null } = {}) {
+    const rows = [...this.admins.values()].filter(
+      (admin) => admin.id !== excludeId && UNIQUE_FIELDS.some((field) => (values[field] || []).includes(admin[field]))
+    );
+
+    return { success: true, data: rows.map((row) => pick(row, ["id", "username", "email"])) };
+  }
+
+  /**
+   * Count live admins with the given field values
+   * @param {Object} match - Field values, e.g. { admin_role, admin_status }
+   * @param {Object} options - excludeId
+   * @returns {Promise<Object>} - Count
+   */
+  async count(match, { excludeId = null } = {}) {
+    const count = [...this.admins.values()].filter(
+      (admin) => !admin.deleted_at && admin.id !== excludeId && Object.entries(match).every(([field, value]) => admin[field] === value)
+    ).length;
+
+    return { success: true, count: count };
+  }
+
+  /**
+   * Insert an admin
+   * @param {Object} admin - Admin row including its id
+   * @param {Object} options - columns to return
+   * @returns {Promise<Object>} - Inserted admin, or a "Duplicate ..." error
+   */
+  async insert(admin, { columns } = {}) {
+    const conflict = this.admins.has(admin.id) ? "id" : this.findConflictingField(admin);
+
+    if (conflict) {
+      return { success: false, error: duplicateError(conflict) };
+    }
+
+    const row = { last_login_at: null, deleted_at: null, deleted_by: null, ...admin };
+    this.admins.set(row.id, row);
+
+    return { success: true, data: pick(row, columns) };
+  }
+
+  /**
+   * Update an admin
+   * @param {string} id - Admin ID
+   * @param {Object} changes - Fields to set
+   * @param {Object} options - columns to return, deleted (false: live only, true: deleted only),
+   *                           expectedUpdatedAt (only update this version, undefined to skip the check)
+   * @returns {Promise<Object>} - Updated admin, null if no admin matched, or a "Duplicate ..." error
+   */
+  async update(id, changes, { columns, deleted = false, expectedUpdatedAt } = {}) {
+    const row = this.admins.get(id);
+
+    if (!row || !this.matchesDeleted(row, deleted) || (expectedUpdatedAt !== undefined && row.updated_at !== expectedUpdatedAt)) {
+      return { success: true, data: null };
+    }
+
+    const conflict = this.findConflictingField(changes, id);
+
+    if (conflict) {
+      return { success: false, error: duplicateError(conflict) };
+    }
+
+    Object.assign(row, changes);
+
+    return { success: true, data: pick(row, columns) };
+  }
+
+  /**
+   * Permanently remove an invited admin that never accepted (pending, no password, not deleted)
+   * @param {string} id - Admin ID
+   * @param {Object} options - columns to return
+   * @returns {Promise<Object>} - Removed admin or null if no such admin matched
+   */
+  async deletePending(id, { columns } = {}) {
+    const row = this.admins.get(id);
+
+    if (!row || row.deleted_at || row.admin_status !== "pending" || row.password) {
+      return { success: true, data: null };
+    }
+
+    this.admins.delete(id);
+
+    return { success: true, data: pick(row, columns) };
+  }
+
+  /**
+   * Permanently remove admins soft deleted before a cutoff
+   * @param {string} before - ISO timestamp
+   * @param {Object} options - columns to return
+   * @returns {Promise<Object>} - Removed admins
+   */
+  async purgeDeleted(before, { columns } = {}) {
+    const rows = [...this.admins.values()].filter((admin) => admin.deleted_at && admin.deleted_at < before);
+    rows.forEach((row) => this.admins.delete(row.id));
+
+    return { success: true, data: rows.map((row) => pick(row, columns)) };
+  }
+}
+
+// Escape LIKE wildcards, so search text is matched literally
+const toLikePattern = (text) => `%${text.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+
+/**
+ * Supabase-backed admin repository
+ * Expects the user_admin table with columns: id (uuid, primary key), fname, lname (text), username (text, unique),
+ * email (text, unique), password (text, null until an invitation is accepted), create (timestamptz),
+ * admin_role, admin_status (text), last_login_at, password_changed_at, updated_at, deleted_at (timestamptz), deleted_by (uuid)
+ */
+export class SupabaseAdminRepository {
+  constructor(client = getSupabase(), table = "user_admin") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  // Turn a helper result into the repository's { success, data } form
+  // A write rejected by the unique constraint gets the same message as in the memory repository
+  toResult({ data, count, error }, extra = () => ({})) {
+    if (!error) {
+      return { success: true, data: data, ...extra(count) };
+    }
+
+    if (error.code === "23505") {
+      const field = UNIQUE_FIELDS.find((column) => `${error.details} ${error.message}`.includes(column));
+      return { success: false, error: duplicateError(field || "value") };
+    }
+
+    return { success: false, error: `Database error: ${error.message}` };
+  }
+
+  async list({ filters = {}, sort = "create", ascending = false, offset = 0, limit, columns = "*" } = {}) {
+    const { admin_role, admin_status, search } = filters;
+    const pattern = search ? toLikePattern(search) : undefined;
+
+    const result = await this.db.select(
+      this.table,
+      columns,
+      {
+        deleted_at: null,
+        admin_role: admin_role || undefined,
+        admin_status: admin_status || undefined,
+        or: ["fname", "lname", "username", "email"].map((column) => ({ [column]: { ilike: pattern } })),
+      },
+      {
+        order: [{ column: sort, ascending }, { column: "id" }], // id keeps the order stable between pages
+        offset: limit === undefined ? 0 : offset,
+        limit: limit,
+        count: "exact",
+      }
+    );
+
+    return this.toResult(result, (count) => ({ total: count }));
+  }
+
+  async findById(id, { columns = "*", includeDeleted = false } = {}) {
+    const filters = { id: id, deleted_at: includeDeleted ? undefined : null };
+    return this.toResult(await this.db.select(this.table, columns, filters, { single: true }));
+  }
+
+  async findOne(match, { columns = "*" } = {}) {
+    return this.toResult(await this.db.select(this.table, columns, { ...match, deleted_at: null }, { limit: 1, single: true }));
+  }
+
+  async findConflicts(values, { excludeId = null } = {}) {
+    const groups = UNIQUE_FIELDS.filter((field) => (values[field] || []).some(Boolean)).map((field) => ({
+      [field]: { in: values[field].filter(Boolean) },
+    }));
+
+    if (groups.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const filters = { id: { neq: excludeId || undefined }, or: groups };
+    return this.toResult(await this.db.select(this.table, ["id", "username", "email"], filters));
+  }
+
+  async count(match, { excludeId = null } = {}) {
+    const filters = { ...match, deleted_at: null, id: { neq: excludeId || undefined } };
+    const result = await this.db.select(this.table, "id", filters, { count: "exact", head: true });
+
+    return this.toResult(result, (count) => ({ count: count }));
+  }
+
+  async insert(admin, { columns = "*" } = {}) {
+    return this.toResult(await this.db.insert(this.table, admin, { columns, single: true }));
+  }
+
+  async update(id, changes, { columns = "*", deleted = false, expectedUpdatedAt } = {}) {
+    const filters = {
+      id: id,
+      deleted_at: deleted ? { isNot: null } : null,
+      updated_at: expectedUpdatedAt,
+    };
+
+    return this.toResult(await this.db.update(this.table, changes, filters, { columns, single: true }));
+  }
+
+  async deletePending(id, { columns = "*" } = {}) {
+    const filters = { id: id, admin_status: "pending", password: null, deleted_at: null };
+    const result = this.toResult(await this.db.delete(this.table, filters, { columns }));
+
+    return result.success ? { success: true, data: (result.data || [])[0] || null } : result;
+  }
+
+  async purgeDeleted(before, { columns = "*" } = {}) {
+    return this.toResult(await this.db.delete(this.table, { deleted_at: { lt: before } }, { columns }));
+  }
+}
+
+/**
+ * Create admin repository for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryAdminRepository|SupabaseAdminRepository}
+ */
+export const createAdminRepository = (driver = process.env.ADMIN_REPOSITORY || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("admin");
+      return new MemoryAdminRepository();
+    case "supabase":
+      return new SupabaseAdminRepository();
+    default:
+      throw new Error(`Unknown admin repository: ${driver}`);
+  }
+};
+
+export default createAdminRepository();
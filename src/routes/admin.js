@@ -1,45 +1,313 @@
 import express from "express";
 import AdminController from "../controllers/adminController.js";
+import { decodeToken } from "../utils/jwt.js";
 import {
   validateAdminCreate,
   validateAdminUpdate,
   validateAdminStatus,
   validateAdminLogin,
   validateUUID,
+  validateUUIDParam,
+  validateMfaLogin,
+  validateMfaCode,
+  validateMfaDisable,
+  validateMfaPolicy,
+  validatePasswordForgot,
+  validatePasswordReset,
+  validateRolePermissions,
+  validateAdminListQuery,
+  validateAuditQuery,
+  validateAdminBulkCreate,
+  validateAdminBulkStatus,
+  validateAdminExportQuery,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateEmailChange,
+  validateEmailConfirm,
+  validateLoginHistoryQuery,
+  validateAdminStatsQuery,
+  validateInvitationCreate,
+  validateInvitationAccept,
+  validateInvitationListQuery,
+  validateImpersonation,
 } from "../middleware/adminValidation.js";
-import { authenticateToken, requireSuperAdmin, requireAdmin, requireSelfOrHigherRole, loginRateLimit } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  allowPendingMfaEnrollment,
+  allowExpiredPassword,
+  denyImpersonation,
+  requireRole,
+  requirePermission,
+  requireSelfOrPermission,
+  loginRateLimit,
+} from "../middleware/auth.js";
+import { PERMISSIONS, SUPER_ADMIN_ROLE } from "../config/permissions.js";
 
 const router = express.Router();
 
 // @route   GET /api/admin
-// @desc    Get all admin users
-// @access  Private (Admin only)
-router.get("/", authenticateToken, requireAdmin, AdminController.getAllAdmins);
+// @desc    Get admin users (paged, filterable by admin_role/admin_status, searchable, sortable)
+// @access  Private (admin:read)
+router.get("/", validateAdminListQuery, authenticateToken, requirePermission(PERMISSIONS.ADMIN_READ), AdminController.getAllAdmins);
+
+// @route   GET /api/admin/export
+// @desc    Download admin users as CSV or XLSX (same filters as the list, choice of columns)
+// @access  Private (admin:export)
+router.get("/export", validateAdminExportQuery, authenticateToken, requirePermission(PERMISSIONS.ADMIN_EXPORT), AdminController.exportAdmins);
 
 // @route   GET /api/admin/stats
-// @desc    Get admin statistics
-// @access  Private (Admin only)
-router.get("/stats", authenticateToken, requireAdmin, AdminController.getAdminStats);
+// @desc    Get admin statistics, including dormant accounts (?dormantDays=N)
+// @access  Private (admin:read)
+router.get("/stats", validateAdminStatsQuery, authenticateToken, requirePermission(PERMISSIONS.ADMIN_READ), AdminController.getAdminStats);
+
+// @route   GET /api/admin/system/cache
+// @desc    Get hit and miss counters of the admin access cache used by authentication
+// @access  Private (system:read)
+router.get("/system/cache", authenticateToken, requirePermission(PERMISSIONS.SYSTEM_READ), AdminController.getAccessCacheStats);
+
+// @route   POST /api/admin/bulk
+// @desc    Create many admin users from JSON or CSV (?dryRun=true only validates)
+// @access  Private (admin:create)
+router.post(
+  "/bulk",
+  express.text({ type: "text/csv", limit: "10mb" }),
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_CREATE),
+  validateAdminBulkCreate,
+  AdminController.bulkCreateAdmins
+);
+
+// @route   PATCH /api/admin/bulk/status
+// @desc    Update the status of many admin users
+// @access  Private (admin:status)
+router.patch(
+  "/bulk/status",
+  validateAdminBulkStatus,
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_STATUS),
+  AdminController.bulkUpdateAdminStatus
+);
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log entries (paged, filterable by actor, target, action and time range)
+// @access  Private (audit:read)
+router.get("/audit", validateAuditQuery, authenticateToken, requirePermission(PERMISSIONS.AUDIT_READ), AdminController.getAuditLog);
+
+// @route   GET /api/admin/invitations
+// @desc    List invitations (paged, filterable by status)
+// @access  Private (admin:create)
+router.get(
+  "/invitations",
+  validateInvitationListQuery,
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_CREATE),
+  AdminController.getInvitations
+);
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a new admin by email, they choose their own password
+// @access  Private (admin:create)
+router.post(
+  "/invitations",
+  validateInvitationCreate,
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_CREATE),
+  AdminController.createInvitation
+);
+
+// @route   POST /api/admin/invitations/accept
+// @desc    Accept an invitation by choosing a password
+// @access  Public (with valid invitation token)
+router.post(
+  "/invitations/accept",
+  validateInvitationAccept,
+  loginRateLimit({ getUsername: () => null, failureStatuses: [400] }),
+  AdminController.acceptInvitation
+);
+
+// @route   POST /api/admin/invitations/:invitationId/resend
+// @desc    Send an invitation again with a new link and expiry
+// @access  Private (admin:create)
+router.post(
+  "/invitations/:invitationId/resend",
+  validateUUIDParam("invitationId"),
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_CREATE),
+  AdminController.resendInvitation
+);
+
+// @route   DELETE /api/admin/invitations/:invitationId
+// @desc    Revoke an invitation and remove the pending admin
+// @access  Private (admin:create)
+router.delete(
+  "/invitations/:invitationId",
+  validateUUIDParam("invitationId"),
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_CREATE),
+  AdminController.revokeInvitation
+);
+
+// @route   GET /api/admin/me
+// @desc    Get the profile of the current admin
+// @access  Private (Authenticated admin)
+router.get("/me", authenticateToken, AdminController.getMe);
+
+// @route   PATCH /api/admin/me
+// @desc    Update the profile (fname, lname) of the current admin
+// @access  Private (Authenticated admin)
+router.patch("/me", validateProfileUpdate, authenticateToken, AdminController.updateMe);
+
+// @route   POST /api/admin/me/password
+// @desc    Change the password of the current admin and sign out other sessions
+// @access  Private (Authenticated admin, also with an expired password)
+router.post(
+  "/me/password",
+  validatePasswordChange,
+  allowExpiredPassword,
+  authenticateToken,
+  denyImpersonation,
+  loginRateLimit({ getUsername: (req) => req.user.username, failureStatuses: [403] }),
+  AdminController.changeMyPassword
+);
+
+// @route   POST /api/admin/me/email
+// @desc    Request an email change, confirmed through a link sent to the new address
+// @access  Private (Authenticated admin)
+router.post(
+  "/me/email",
+  validateEmailChange,
+  authenticateToken,
+  denyImpersonation,
+  loginRateLimit({ getUsername: (req) => req.user.username, failureStatuses: [403] }),
+  AdminController.requestMyEmailChange
+);
+
+// @route   POST /api/admin/me/email/confirm
+// @desc    Confirm an email change
+// @access  Public (with valid verification token)
+router.post("/me/email/confirm", validateEmailConfirm, AdminController.confirmEmailChange);
+
+// @route   GET /api/admin/me/mfa
+// @desc    Get two-factor authentication status of the current admin
+// @access  Private (Authenticated admin)
+router.get("/me/mfa", allowPendingMfaEnrollment, authenticateToken, AdminController.getMyMfaStatus);
+
+// @route   POST /api/admin/me/mfa/setup
+// @desc    Generate a TOTP secret for the current admin
+// @access  Private (Authenticated admin)
+router.post("/me/mfa/setup", allowPendingMfaEnrollment, authenticateToken, denyImpersonation, AdminController.setupMyMfa);
+
+// @route   POST /api/admin/me/mfa/confirm
+// @desc    Enable two-factor authentication with a code and get recovery codes
+// @access  Private (Authenticated admin)
+router.post(
+  "/me/mfa/confirm",
+  validateMfaCode,
+  allowPendingMfaEnrollment,
+  authenticateToken,
+  denyImpersonation,
+  AdminController.confirmMyMfa
+);
+
+// @route   DELETE /api/admin/me/mfa
+// @desc    Disable two-factor authentication for the current admin
+// @access  Private (Authenticated admin)
+router.delete("/me/mfa", validateMfaDisable, authenticateToken, denyImpersonation, AdminController.disableMyMfa);
+
+// @route   GET /api/admin/mfa/policies
+// @desc    Get which roles require two-factor authentication
+// @access  Private (mfa:manage)
+router.get("/mfa/policies", authenticateToken, requirePermission(PERMISSIONS.MFA_MANAGE), AdminController.getMfaPolicies);
+
+// @route   PUT /api/admin/mfa/policies/:role
+// @desc    Require (or stop requiring) two-factor authentication for a role
+// @access  Private (mfa:manage)
+router.put(
+  "/mfa/policies/:role",
+  validateMfaPolicy,
+  authenticateToken,
+  denyImpersonation,
+  requirePermission(PERMISSIONS.MFA_MANAGE),
+  AdminController.updateMfaPolicy
+);
+
+// @route   GET /api/admin/permissions
+// @desc    Get every permission and the permissions of each role
+// @access  Private (permissions:manage)
+router.get("/permissions", authenticateToken, requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), AdminController.getPermissions);
+
+// @route   PUT /api/admin/permissions/:role
+// @desc    Replace the permissions of a role
+// @access  Private (permissions:manage)
+router.put(
+  "/permissions/:role",
+  validateRolePermissions,
+  authenticateToken,
+  denyImpersonation,
+  requirePermission(PERMISSIONS.PERMISSIONS_MANAGE),
+  AdminController.updateRolePermissions
+);
+
+// @route   GET /api/admin/me/sessions
+// @desc    List active sessions of the current admin
+// @access  Private (Authenticated admin)
+router.get("/me/sessions", authenticateToken, AdminController.getMySessions);
+
+// @route   DELETE /api/admin/me/sessions/:sessionId
+// @desc    Revoke one session of the current admin
+// @access  Private (Authenticated admin)
+router.delete("/me/sessions/:sessionId", validateUUIDParam("sessionId"), authenticateToken, AdminController.revokeMySession);
 
 // @route   GET /api/admin/:id
 // @desc    Get admin user by ID
-// @access  Private (Admin only)
-router.get("/:id", validateUUID, authenticateToken, requireSelfOrHigherRole(), AdminController.getAdminById);
+// @access  Private (Self or admin:read)
+router.get("/:id", validateUUID, authenticateToken, requireSelfOrPermission(PERMISSIONS.ADMIN_READ), AdminController.getAdminById);
 
 // @route   POST /api/admin
 // @desc    Create new admin user
-// @access  Private (Super Admin only)
-router.post("/", validateAdminCreate, authenticateToken, requireSuperAdmin, AdminController.createAdmin);
+// @access  Private (admin:create)
+router.post("/", validateAdminCreate, authenticateToken, requirePermission(PERMISSIONS.ADMIN_CREATE), AdminController.createAdmin);
 
 // @route   POST /api/admin/login
 // @desc    Admin login
 // @access  Public
 router.post("/login", validateAdminLogin, loginRateLimit(), AdminController.loginAdmin);
 
+// @route   POST /api/admin/login/mfa
+// @desc    Complete admin login with a two-factor code
+// @access  Public (with valid MFA token)
+router.post(
+  "/login/mfa",
+  validateMfaLogin,
+  loginRateLimit({
+    // Throttle code guessing per account too (the token is verified by the handler)
+    getUsername: (req) => {
+      const decoded = decodeToken(req.body.mfaToken);
+      return decoded.success ? decoded.payload.username : null;
+    },
+  }),
+  AdminController.loginAdminMfa
+);
+
+// @route   POST /api/admin/password/forgot
+// @desc    Email a password reset link
+// @access  Public
+router.post("/password/forgot", validatePasswordForgot, loginRateLimit({ countAllRequests: true }), AdminController.forgotPassword);
+
+// @route   POST /api/admin/password/reset
+// @desc    Set a new password with a reset token
+// @access  Public (with valid reset token)
+router.post(
+  "/password/reset",
+  validatePasswordReset,
+  loginRateLimit({ getUsername: () => null, failureStatuses: [400] }),
+  AdminController.resetPassword
+);
+
 // @route   POST /api/admin/logout
 // @desc    Admin logout
 // @access  Private (Admin only)
-router.post("/logout", authenticateToken, AdminController.logoutAdmin);
+router.post("/logout", allowPendingMfaEnrollment, allowExpiredPassword, authenticateToken, AdminController.logoutAdmin);
 
 // @route   POST /api/admin/refresh-token
 // @desc    Refresh access token
@@ -48,17 +316,72 @@ router.post("/refresh-token", AdminController.refreshToken);
 
 // @route   PUT /api/admin/:id
 // @desc    Update admin user
-// @access  Private (Admin only)
-router.put("/:id", validateUUID, validateAdminUpdate, authenticateToken, requireSelfOrHigherRole(), AdminController.updateAdmin);
+// @access  Private (Self or admin:write)
+router.put(
+  "/:id",
+  validateUUID,
+  validateAdminUpdate,
+  allowExpiredPassword,
+  authenticateToken,
+  requireSelfOrPermission(PERMISSIONS.ADMIN_WRITE),
+  AdminController.updateAdmin
+);
 
 // @route   PATCH /api/admin/:id/status
 // @desc    Update admin user status only
-// @access  Private (Admin only)
-router.patch("/:id/status", validateUUID, validateAdminStatus, authenticateToken, requireAdmin, AdminController.updateAdminStatus);
+// @access  Private (admin:status)
+router.patch(
+  "/:id/status",
+  validateUUID,
+  validateAdminStatus,
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN_STATUS),
+  AdminController.updateAdminStatus
+);
 
 // @route   DELETE /api/admin/:id
-// @desc    Delete admin user
-// @access  Private (Super Admin only)
-router.delete("/:id", validateUUID, authenticateToken, requireSuperAdmin, AdminController.deleteAdmin);
+// @desc    Soft delete admin user
+// @access  Private (admin:delete)
+router.delete("/:id", validateUUID, authenticateToken, requirePermission(PERMISSIONS.ADMIN_DELETE), AdminController.deleteAdmin);
+
+// @route   POST /api/admin/:id/restore
+// @desc    Restore a soft-deleted admin user
+// @access  Private (admin:delete)
+router.post("/:id/restore", validateUUID, authenticateToken, requirePermission(PERMISSIONS.ADMIN_DELETE), AdminController.restoreAdmin);
+
+// @route   GET /api/admin/:id/logins
+// @desc    Get the login history of an admin user
+// @access  Private (Self or admin:read)
+router.get(
+  "/:id/logins",
+  validateUUID,
+  validateLoginHistoryQuery,
+  authenticateToken,
+  requireSelfOrPermission(PERMISSIONS.ADMIN_READ),
+  AdminController.getAdminLogins
+);
+
+// @route   POST /api/admin/:id/unlock
+// @desc    Clear failed login attempts and lockout of an admin account
+// @access  Private (admin:unlock)
+router.post("/:id/unlock", validateUUID, authenticateToken, requirePermission(PERMISSIONS.ADMIN_UNLOCK), AdminController.unlockAdmin);
+
+// @route   DELETE /api/admin/:id/sessions
+// @desc    Sign an admin out of every session
+// @access  Private (admin:sessions)
+router.delete("/:id/sessions", validateUUID, authenticateToken, requirePermission(PERMISSIONS.ADMIN_SESSIONS), AdminController.revokeAdminSessions);
+
+// @route   POST /api/admin/:id/impersonate
+// @desc    Get a short-lived access token to use the API as another admin
+// @access  Private (Super admin only)
+router.post(
+  "/:id/impersonate",
+  validateUUID,
+  validateImpersonation,
+  authenticateToken,
+  denyImpersonation,
+  requireRole([SUPER_ADMIN_ROLE]),
+  AdminController.impersonateAdmin
+);
 
 export default router;
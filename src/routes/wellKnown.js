@@ -0,0 +1,11 @@
+import express from "express";
+import WellKnownController from "../controllers/wellKnownController.js";
+
+const router = express.Router();
+
+// @route   GET /.well-known/jwks.json
+// @desc    Public keys for verifying admin tokens
+// @access  Public
+router.get("/jwks.json", WellKnownController.getJwks);
+
+export default router;
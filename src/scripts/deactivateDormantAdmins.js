@@ -0,0 +1,32 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import AdminService, { ADMIN_DORMANT_AFTER_DAYS } from "../services/adminService.js";
+
+// Usage: node src/scripts/deactivateDormantAdmins.js [days]
+// Sets active admins without a login in the last [days] (default ADMIN_DORMANT_AFTER_DAYS) days to inactive
+const dormantDays = process.argv[2] !== undefined ? parseInt(process.argv[2], 10) : ADMIN_DORMANT_AFTER_DAYS;
+
+try {
+  if (!Number.isInteger(dormantDays) || dormantDays <= 0) {
+    throw new Error("Dormant period must be a positive number of days");
+  }
+
+  const result = await AdminService.deactivateDormantAdmins({ dormantDays });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(`✅ Deactivated ${result.deactivated} admin(s) without a login in the last ${dormantDays} days`);
+  result.results.forEach((admin) =>
+    console.log(
+      admin.success
+        ? `💤 ${admin.username} (${admin.id}), last login ${admin.last_login_at || "never"}`
+        : `⚠️  ${admin.username} (${admin.id}) not deactivated: ${admin.error}`
+    )
+  );
+} catch (error) {
+  console.error("❌ Dormant admin deactivation failed:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { generateKeyPair } from "../utils/jwtKeys.js";
+
+// Usage: node src/scripts/generateJwtKey.js [kid]
+// Writes <kid>.pem and <kid>.pub.pem to JWT_KEYS_DIR for JWT_ALGORITHM (RS256 or ES256)
+const algorithm = process.env.JWT_ALGORITHM;
+const keysDir = process.env.JWT_KEYS_DIR;
+const kid = process.argv[2] || `key-${new Date().toISOString().slice(0, 10)}`;
+
+try {
+  if (!keysDir) {
+    throw new Error("JWT_KEYS_DIR environment variable is required");
+  }
+
+  if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+    throw new Error("kid can only contain letters, numbers, dashes and underscores");
+  }
+
+  const privatePath = path.join(keysDir, `${kid}.pem`);
+
+  if (fs.existsSync(privatePath)) {
+    throw new Error(`Key ${kid} already exists in ${keysDir}`);
+  }
+
+  const { privateKey, publicKey } = generateKeyPair(algorithm);
+
+  fs.mkdirSync(keysDir, { recursive: true });
+  fs.writeFileSync(privatePath, privateKey, { mode: 0o600 });
+  fs.writeFileSync(path.join(keysDir, `${kid}.pub.pem`), publicKey);
+
+  console.log(`✅ Generated ${algorithm} key ${kid} in ${keysDir}`);
+  console.log(`👉 Set JWT_ACTIVE_KID=${kid} and restart to start signing with it`);
+} catch (error) {
+  console.error("❌ Key generation failed:", error.message);
+  process.exit(1);
+}
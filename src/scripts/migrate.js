@@ -0,0 +1,52 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import { connect, Migrator } from "../db/migrator.js";
+
+// Usage: node src/scripts/migrate.js <up|down|status> [steps]
+// up applies all pending migrations (or [steps] of them), down rolls back the last one (or the last [steps])
+// Connects with DATABASE_URL
+const [command = "status", stepsArg] = process.argv.slice(2);
+const steps = stepsArg !== undefined ? parseInt(stepsArg, 10) : undefined;
+
+let client = null;
+
+try {
+  if (!["up", "down", "status"].includes(command)) {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+
+  if (steps !== undefined && (!Number.isInteger(steps) || steps <= 0)) {
+    throw new Error("Steps must be a positive number");
+  }
+
+  client = await connect();
+  const migrator = new Migrator(client);
+
+  if (command === "status") {
+    const migrations = await migrator.status();
+
+    migrations.forEach(({ version, name, state, applied_at }) => {
+      const icon = { applied: "✅", pending: "⏳", changed: "⚠️ ", missing: "❓" }[state];
+      const when = applied_at ? ` (applied ${new Date(applied_at).toISOString()})` : "";
+      console.log(`${icon} ${version}_${name}: ${state}${when}`);
+    });
+
+    if (migrations.some(({ state }) => state === "changed" || state === "missing")) {
+      console.warn("⚠️ Some applied migrations were changed or removed since they ran");
+    }
+  } else if (command === "up") {
+    const applied = await migrator.up({ steps });
+    console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : "✅ Database is up to date");
+  } else {
+    const rolledBack = await migrator.down({ steps });
+    console.log(rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : "✅ No migrations to roll back");
+  }
+} catch (error) {
+  console.error("❌ Migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  if (client) {
+    await client.end();
+  }
+}
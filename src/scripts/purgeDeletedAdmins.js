@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import AdminService, { ADMIN_PURGE_AFTER_DAYS } from "../services/adminService.js";
+
+// Usage: node src/scripts/purgeDeletedAdmins.js [days]
+// Permanently removes admins soft deleted more than [days] (default ADMIN_PURGE_AFTER_DAYS) days ago
+const olderThanDays = process.argv[2] !== undefined ? parseInt(process.argv[2], 10) : ADMIN_PURGE_AFTER_DAYS;
+
+try {
+  if (!Number.isInteger(olderThanDays) || olderThanDays <= 0) {
+    throw new Error("Retention period must be a positive number of days (argument or ADMIN_PURGE_AFTER_DAYS)");
+  }
+
+  const result = await AdminService.purgeDeletedAdmins({ olderThanDays });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  console.log(`✅ Purged ${result.count} admin(s) deleted more than ${olderThanDays} days ago`);
+  result.data.forEach((admin) => console.log(`🗑️  ${admin.username} (${admin.id}), deleted ${admin.deleted_at}`));
+} catch (error) {
+  console.error("❌ Admin purge failed:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,42 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { connect } from "../db/migrator.js";
+
+// Usage: node src/scripts/seed.js
+// Runs every seed in src/db/seeds in order, against DATABASE_URL (run the migrations first)
+// Seeds only add missing rows, so running them again is safe
+const SEEDS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../db/seeds");
+
+let client = null;
+
+try {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("Seeds create accounts with a known password and must not run in production");
+  }
+
+  client = await connect();
+
+  const files = fs
+    .readdirSync(SEEDS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort();
+
+  for (const file of files) {
+    const { seed } = await import(pathToFileURL(path.join(SEEDS_DIR, file)).href);
+    const created = await seed(client);
+    console.log(`🌱 ${file}: ${created} row(s) created`);
+  }
+
+  console.log("✅ Seeding complete");
+} catch (error) {
+  console.error("❌ Seeding failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  if (client) {
+    await client.end();
+  }
+}
@@ -1,24 +1,140 @@
-import { supabase } from "../config/database.js";
 import { v4 as uuidv4 } from "uuid";
 import bcrypt from "bcryptjs";
+import adminRepository from "../repositories/adminRepository.js";
+import passwordHistoryStore from "../stores/passwordHistoryStore.js";
+import { passwordPolicy, checkPassword } from "../utils/passwordPolicy.js";
+import { ADMIN_ROLES, SUPER_ADMIN_ROLE } from "../config/permissions.js";
+import AuditService from "./auditService.js";
+import { toETag, matchesETag, nextUpdatedAt } from "../utils/etag.js";
+
+// Lower rank = more privileged
+const roleRank = (role) => ADMIN_ROLES.indexOf(role);
+
+// Keep only the fields of a record that another record has, so audit diffs compare like with like
+const pickFields = (record, fields) => Object.fromEntries(fields.filter((key) => key in record).map((key) => [key, record[key]]));
+
+export const ADMIN_SORT_FIELDS = ["create", "fname", "lname", "username", "email", "admin_role", "admin_status", "last_login_at"];
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+export const MAX_BULK_ITEMS = 500;
+export const ADMIN_EXPORT_COLUMNS = ["id", "fname", "lname", "username", "email", "create", "admin_role", "admin_status", "last_login_at"];
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns returned for the admin list, a single admin and after writes (never the password hash)
+const LIST_COLUMNS = ["id", "fname", "lname", "username", "email", "create", "admin_role", "admin_status", "last_login_at", "updated_at"];
+// The ETag of a single admin comes from updated_at only, last_login_at is bookkeeping that doesn't change the version
+const DETAIL_COLUMNS = [...LIST_COLUMNS, "password_changed_at", "deleted_at", "deleted_by"];
+const WRITE_COLUMNS = ["id", "fname", "lname", "username", "email", "create", "admin_role", "admin_status", "updated_at"];
+
+// Role and status of recently seen admins are cached this long for authentication (0 disables the cache)
+// Writes through this service drop the entry at once, other processes (e.g. the CLI) are seen within this time
+const accessCacheTtlSeconds = parseInt(process.env.ADMIN_ACCESS_CACHE_TTL_SECONDS, 10);
+const ACCESS_CACHE_TTL_MS = (Number.isNaN(accessCacheTtlSeconds) ? 5 : accessCacheTtlSeconds) * 1000;
+const ACCESS_CACHE_MAX_ENTRIES = 10000;
+const ACCESS_COLUMNS = ["id", "fname", "lname", "username", "admin_role", "admin_status"];
+
+// Soft-deleted admins are kept this many days before purgeDeletedAdmins removes them (0 = never purge)
+export const ADMIN_PURGE_AFTER_DAYS = parseInt(process.env.ADMIN_PURGE_AFTER_DAYS, 10) || 0;
+
+// Active admins that haven't logged in for this many days count as dormant
+export const ADMIN_DORMANT_AFTER_DAYS = parseInt(process.env.ADMIN_DORMANT_AFTER_DAYS, 10) || 90;
+
+// Admins that never logged in are dormant once their account is old enough
+const isDormant = (admin, cutoff) => admin.admin_status === "active" && new Date(admin.last_login_at || admin.create) < new Date(cutoff);
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
 
 class AdminService {
-  // Get all admin users
-  async getAllAdmins() {
+  constructor(repository = adminRepository, accessCacheTtlMs = ACCESS_CACHE_TTL_MS) {
+    this.repository = repository;
+    this.accessCacheTtlMs = accessCacheTtlMs;
+    this.accessCache = new Map(); // id -> { data, loadedAt }
+    this.accessCacheStats = { hits: 0, misses: 0 };
+  }
+
+  // Get admin users, one page at a time
+  // options: page, limit, admin_role, admin_status, search, sort, order
+  async getAllAdmins(options = {}) {
     try {
-      const { data, error } = await supabase
-        .from("user_admin")
-        .select("id, fname, lname, username, email, create, admin_role, admin_status")
-        .order("create", { ascending: false });
+      const page = options.page || 1;
+      const limit = options.limit || DEFAULT_PAGE_SIZE;
+      const sort = ADMIN_SORT_FIELDS.includes(options.sort) ? options.sort : "create";
+      const ascending = options.order === "asc";
 
-      if (error) {
-        throw new Error(`Database error: ${error.message}`);
+      const result = await this.repository.list({
+        filters: options,
+        sort: sort,
+        ascending: ascending,
+        offset: (page - 1) * limit,
+        limit: limit,
+        columns: LIST_COLUMNS,
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
       }
 
+      const { data, total: count } = result;
+
       return {
         success: true,
         data: data,
         count: data.length,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: count,
+          totalPages: Math.ceil(count / limit),
+          hasNextPage: page * limit < count,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Read every admin matching the list filters in batches, for exports too large to hold in memory
+  // options: admin_role, admin_status, search, sort, order, columns
+  // onBatch is awaited with each batch of rows before the next one is fetched
+  async exportAdmins(options = {}, onBatch) {
+    try {
+      const sort = ADMIN_SORT_FIELDS.includes(options.sort) ? options.sort : "create";
+      const ascending = options.order === "asc";
+      const columns = (options.columns || ADMIN_EXPORT_COLUMNS).filter((column) => ADMIN_EXPORT_COLUMNS.includes(column));
+      let exported = 0;
+
+      for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+        const result = await this.repository.list({
+          filters: options,
+          sort: sort,
+          ascending: ascending,
+          offset: offset,
+          limit: EXPORT_BATCH_SIZE,
+          columns: columns,
+        });
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        const { data } = result;
+
+        if (data.length > 0) {
+          await onBatch(data);
+          exported += data.length;
+        }
+
+        if (data.length < EXPORT_BATCH_SIZE) {
+          break;
+        }
+      }
+
+      return {
+        success: true,
+        count: exported,
       };
     } catch (error) {
       return {
@@ -29,21 +145,62 @@ class AdminService {
   }
 
   // Get admin user by ID
-  async getAdminById(id) {
+  // Soft-deleted admins are only returned with includeDeleted
+  async getAdminById(id, { includeDeleted = false } = {}) {
     try {
-      const { data, error } = await supabase
-        .from("user_admin")
-        .select("id, fname, lname, username, email, create, admin_role, admin_status")
-        .eq("id", id)
-        .single();
+      const result = await this.repository.findById(id, { columns: DETAIL_COLUMNS, includeDeleted });
 
-      if (error) {
-        throw new Error(`Admin user not found: ${error.message}`);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.data) {
+        throw new Error("Admin user not found");
       }
 
       return {
         success: true,
-        data: data,
+        data: result.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Get the role and status of an admin (for authentication), from cache when fresh
+  async getAdminAccess(id) {
+    try {
+      const cached = this.accessCache.get(id);
+
+      if (cached && Date.now() - cached.loadedAt < this.accessCacheTtlMs) {
+        this.accessCacheStats.hits++;
+        return { success: true, data: cached.data };
+      }
+
+      this.accessCacheStats.misses++;
+
+      const result = await this.repository.findById(id, { columns: ACCESS_COLUMNS });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.data) {
+        this.accessCache.delete(id);
+        throw new Error("Admin user not found");
+      }
+
+      if (this.accessCacheTtlMs > 0) {
+        this.pruneAccessCache();
+        this.accessCache.set(id, { data: result.data, loadedAt: Date.now() });
+      }
+
+      return {
+        success: true,
+        data: result.data,
       };
     } catch (error) {
       return {
@@ -53,18 +210,58 @@ class AdminService {
     }
   }
 
+  // Drop the cached role and status of an admin, so the next request sees a change at once
+  invalidateAdminAccess(id) {
+    this.accessCache.delete(id);
+  }
+
+  // Drop expired entries, and everything if the cache is still too large
+  pruneAccessCache() {
+    if (this.accessCache.size < ACCESS_CACHE_MAX_ENTRIES) {
+      return;
+    }
+
+    const now = Date.now();
+    this.accessCache.forEach((entry, id) => {
+      if (now - entry.loadedAt >= this.accessCacheTtlMs) {
+        this.accessCache.delete(id);
+      }
+    });
+
+    if (this.accessCache.size >= ACCESS_CACHE_MAX_ENTRIES) {
+      this.accessCache.clear();
+    }
+  }
+
+  // Hit and miss counters of the admin access cache
+  getAccessCacheStats() {
+    const { hits, misses } = this.accessCacheStats;
+
+    return {
+      hits: hits,
+      misses: misses,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      size: this.accessCache.size,
+      ttlSeconds: this.accessCacheTtlMs / 1000,
+    };
+  }
+
   // Get admin user by username (for login)
   async getAdminByUsername(username) {
     try {
-      const { data, error } = await supabase.from("user_admin").select("*").eq("username", username).eq("admin_status", "active").single();
+      const result = await this.repository.findOne({ username: username, admin_status: "active" });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
-      if (error) {
-        throw new Error(`Admin user not found: ${error.message}`);
+      if (!result.data) {
+        throw new Error("Admin user not found");
       }
 
       return {
         success: true,
-        data: data,
+        data: result.data,
       };
     } catch (error) {
       return {
@@ -74,21 +271,71 @@ class AdminService {
     }
   }
 
-  // Check if username or email exists
-  async checkDuplicateCredentials(username, email, excludeId = null) {
+  // Find an admin by id, username or email whatever their status (for the CLI)
+  async findAdmin(match) {
     try {
-      let query = supabase.from("user_admin").select("id, username, email").or(`username.eq.${username},email.eq.${email}`);
+      const result = await this.repository.findOne(match, { columns: DETAIL_COLUMNS });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
-      if (excludeId) {
-        query = query.neq("id", excludeId);
+      if (!result.data) {
+        throw new Error("Admin user not found");
       }
 
-      const { data, error } = await query;
+      return {
+        success: true,
+        data: result.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Get admin user by email (for password reset)
+  async getAdminByEmail(email) {
+    try {
+      const result = await this.repository.findOne(
+        { email: email },
+        { columns: ["id", "fname", "lname", "username", "email", "admin_role", "admin_status"] }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
-      if (error) {
-        throw new Error(`Database error: ${error.message}`);
+      if (!result.data) {
+        throw new Error("Admin user not found");
       }
 
+      return {
+        success: true,
+        data: result.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Check if username or email exists
+  // Soft-deleted admins are included, their username and email stay reserved until they're purged
+  async checkDuplicateCredentials(username, email, excludeId = null) {
+    try {
+      const result = await this.repository.findConflicts({ username: [username], email: [email] }, { excludeId });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const { data } = result;
+
       const duplicates = {
         username: data.find((admin) => admin.username === username),
         email: data.find((admin) => admin.email === email),
@@ -108,10 +355,17 @@ class AdminService {
   }
 
   // Create new admin user
-  async createAdmin(adminData) {
+  // context comes from getRequestContext; context.actor is the admin making the change (null for system operations)
+  // Invited admins are created with admin_status "pending" and no password until they accept the invitation
+  async createAdmin(adminData, context = {}) {
     try {
+      const { actor = null } = context;
       const { fname, lname, username, email, password, admin_role, admin_status } = adminData;
 
+      if (actor && roleRank(admin_role) < roleRank(actor.admin_role)) {
+        throw new Error("Forbidden: you can't grant a role higher than your own");
+      }
+
       // Check for duplicates
       const duplicateCheck = await this.checkDuplicateCredentials(username, email);
       if (!duplicateCheck.success) {
@@ -125,9 +379,16 @@ class AdminService {
         throw new Error(`Duplicate ${conflicts.join(" and ")}: already exists`);
       }
 
+      const isPending = admin_status === "pending" && !password;
+
+      if (!isPending) {
+        // Enforce password policy
+        this.assertPasswordPolicy(password, { username, email });
+      }
+
       // Hash password
       const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
+      const hashedPassword = isPending ? null : await bcrypt.hash(password, saltRounds);
 
       // Create new admin
       const newAdmin = {
@@ -137,21 +398,33 @@ class AdminService {
         username,
         email,
         password: hashedPassword,
+        password_changed_at: isPending ? null : new Date().toISOString(),
         create: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
         admin_role,
         admin_status,
       };
 
-      const { data, error } = await supabase
-        .from("user_admin")
-        .insert(newAdmin)
-        .select("id, fname, lname, username, email, create, admin_role, admin_status")
-        .single();
+      // The repository still rejects a username or email taken since the check above
+      const insertResult = await this.repository.insert(newAdmin, { columns: WRITE_COLUMNS });
+
+      if (!insertResult.success) {
+        throw new Error(insertResult.error.startsWith("Duplicate") ? insertResult.error : `Failed to create admin: ${insertResult.error}`);
+      }
+
+      const { data } = insertResult;
 
-      if (error) {
-        throw new Error(`Failed to create admin: ${error.message}`);
+      if (hashedPassword) {
+        await this.recordPasswordHistory(data.id, hashedPassword);
       }
 
+      await AuditService.record({
+        action: "admin.create",
+        context,
+        target: { type: "admin", id: data.id },
+        after: data,
+      });
+
       return {
         success: true,
         data: data,
@@ -165,8 +438,12 @@ class AdminService {
   }
 
   // Update admin user
-  async updateAdmin(id, updateData) {
+  // context comes from getRequestContext; context.actor is the admin making the change (null for system operations)
+  // options.ifMatch is an If-Match header, the update only applies if the admin still has a matching ETag
+  async updateAdmin(id, updateData, context = {}, { ifMatch } = {}) {
     try {
+      const { actor = null } = context;
+
       // Remove undefined fields
       const cleanData = {};
       Object.keys(updateData).forEach((key) => {
@@ -175,6 +452,9 @@ class AdminService {
         }
       });
 
+      const before = await this.assertAllowedChange(id, cleanData, actor);
+      this.assertIfMatch(before, ifMatch);
+
       // Check for duplicates if username or email is being updated
       if (cleanData.username || cleanData.email) {
         const duplicateCheck = await this.checkDuplicateCredentials(cleanData.username || "", cleanData.email || "", id);
@@ -193,23 +473,49 @@ class AdminService {
         }
       }
 
-      // Hash password if provided
+      // Enforce password policy and history, then hash password if provided
       if (cleanData.password) {
+        await this.assertNewPasswordAllowed(id, cleanData.password, {
+          username: cleanData.username,
+          email: cleanData.email,
+        });
+
         const saltRounds = 12;
         cleanData.password = await bcrypt.hash(cleanData.password, saltRounds);
+        cleanData.password_changed_at = new Date().toISOString();
+      }
+
+      cleanData.updated_at = nextUpdatedAt(before.updated_at);
+
+      const updateResult = await this.repository.update(id, cleanData, {
+        columns: WRITE_COLUMNS,
+        expectedUpdatedAt: this.expectedVersion(before, ifMatch),
+      });
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error.startsWith("Duplicate") ? updateResult.error : `Failed to update admin: ${updateResult.error}`);
       }
 
-      const { data, error } = await supabase
-        .from("user_admin")
-        .update(cleanData)
-        .eq("id", id)
-        .select("id, fname, lname, username, email, create, admin_role, admin_status")
-        .single();
+      const { data } = updateResult;
 
-      if (error) {
-        throw new Error(`Failed to update admin: ${error.message}`);
+      if (!data) {
+        throw new Error(ifMatch ? "Precondition Failed: admin user was modified by another request" : "Admin user not found");
       }
 
+      this.invalidateAdminAccess(id);
+
+      if (cleanData.password) {
+        await this.recordPasswordHistory(id, cleanData.password);
+      }
+
+      await AuditService.record({
+        action: "admin.update",
+        context,
+        target: { type: "admin", id },
+        before: pickFields(before, Object.keys(data)),
+        after: { ...data, ...(cleanData.password && { password: cleanData.password }) },
+      });
+
       return {
         success: true,
         data: data,
@@ -222,15 +528,42 @@ class AdminService {
     }
   }
 
-  // Delete admin user
-  async deleteAdmin(id) {
+  // Soft delete admin user (restorable until purged)
+  async deleteAdmin(id, context = {}) {
     try {
-      const { data, error } = await supabase.from("user_admin").delete().eq("id", id).select("id, fname, lname, username, email").single();
+      const { actor = null } = context;
+
+      if (actor && actor.id === id) {
+        throw new Error("Forbidden: you can't delete your own account");
+      }
+
+      const before = await this.assertAllowedChange(id, { admin_status: null }, actor);
+
+      const deleteResult = await this.repository.update(
+        id,
+        { deleted_at: new Date().toISOString(), deleted_by: actor ? actor.id : null, updated_at: nextUpdatedAt(before.updated_at) },
+        { columns: ["id", "fname", "lname", "username", "email", "deleted_at", "deleted_by"] }
+      );
+
+      if (!deleteResult.success) {
+        throw new Error(`Failed to delete admin: ${deleteResult.error}`);
+      }
 
-      if (error) {
-        throw new Error(`Failed to delete admin: ${error.message}`);
+      if (!deleteResult.data) {
+        throw new Error("Admin user not found");
       }
 
+      const { data } = deleteResult;
+      this.invalidateAdminAccess(id);
+
+      await AuditService.record({
+        action: "admin.delete",
+        context,
+        target: { type: "admin", id },
+        before: pickFields(before, ["deleted_at", "deleted_by"]),
+        after: pickFields(data, ["deleted_at", "deleted_by"]),
+      });
+
       return {
         success: true,
         data: data,
@@ -243,20 +576,319 @@ class AdminService {
     }
   }
 
+  // Permanently remove an invited admin that never accepted, so the username and email can be invited again
+  // A soft delete would keep both taken, and there is no password or history worth keeping
+  async removePendingAdmin(id, context = {}) {
+    try {
+      const before = await this.assertAllowedChange(id, { admin_status: null }, context.actor || null);
+
+      const removeResult = await this.repository.deletePending(id, { columns: ["id", "fname", "lname", "username", "email", "admin_role"] });
+
+      if (!removeResult.success) {
+        throw new Error(`Failed to remove admin: ${removeResult.error}`);
+      }
+
+      if (!removeResult.data) {
+        throw new Error(before.admin_status === "pending" ? "Admin user not found" : "Conflict: admin has already accepted the invitation");
+      }
+
+      const { data } = removeResult;
+      this.invalidateAdminAccess(id);
+
+      await AuditService.record({
+        action: "admin.remove_pending",
+        context,
+        target: { type: "admin", id },
+        before: data,
+      });
+
+      return {
+        success: true,
+        data: data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Restore a soft-deleted admin user
+  async restoreAdmin(id, context = {}) {
+    try {
+      const { actor = null } = context;
+      const targetResult = await this.getAdminById(id, { includeDeleted: true });
+
+      if (!targetResult.success) {
+        throw new Error(targetResult.error);
+      }
+
+      const before = targetResult.data;
+
+      if (!before.deleted_at) {
+        throw new Error("Conflict: admin user is not deleted");
+      }
+
+      if (actor && roleRank(before.admin_role) < roleRank(actor.admin_role)) {
+        throw new Error("Forbidden: you can't restore an admin with a higher role than your own");
+      }
+
+      const restoreResult = await this.repository.update(
+        id,
+        { deleted_at: null, deleted_by: null, updated_at: nextUpdatedAt(before.updated_at) },
+        { columns: WRITE_COLUMNS, deleted: true }
+      );
+
+      if (!restoreResult.success) {
+        throw new Error(`Failed to restore admin: ${restoreResult.error}`);
+      }
+
+      if (!restoreResult.data) {
+        throw new Error("Conflict: admin user is not deleted");
+      }
+
+      const { data } = restoreResult;
+      this.invalidateAdminAccess(id);
+
+      await AuditService.record({
+        action: "admin.restore",
+        context,
+        target: { type: "admin", id },
+        before: pickFields(before, ["deleted_at", "deleted_by"]),
+        after: { deleted_at: null, deleted_by: null },
+      });
+
+      return {
+        success: true,
+        data: data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Permanently remove admins that were soft deleted more than olderThanDays ago
+  // Does nothing unless a retention period is configured (ADMIN_PURGE_AFTER_DAYS) or passed in
+  async purgeDeletedAdmins({ olderThanDays = ADMIN_PURGE_AFTER_DAYS } = {}, context = {}) {
+    try {
+      if (!olderThanDays || olderThanDays <= 0) {
+        return {
+          success: true,
+          data: [],
+          count: 0,
+        };
+      }
+
+      const cutoff = daysAgo(olderThanDays);
+
+      const purgeResult = await this.repository.purgeDeleted(cutoff, { columns: ["id", "username", "email", "deleted_at", "deleted_by"] });
+
+      if (!purgeResult.success) {
+        throw new Error(`Failed to purge admins: ${purgeResult.error}`);
+      }
+
+      const { data } = purgeResult;
+
+      for (const admin of data) {
+        this.invalidateAdminAccess(admin.id);
+        await passwordHistoryStore.prune(admin.id, 0);
+        await AuditService.record({
+          action: "admin.purge",
+          context,
+          target: { type: "admin", id: admin.id },
+          before: admin,
+        });
+      }
+
+      return {
+        success: true,
+        data: data,
+        count: data.length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Create many admins at once
+  // rows: [{ row, data, errors }] already checked against the create validation rules
+  // Nothing is created if any row is invalid or clashes with another row or an existing admin
+  async bulkCreateAdmins(rows, { dryRun = false } = {}, context = {}) {
+    try {
+      const { actor = null } = context;
+      const results = rows.map(({ row, data, errors }) => ({
+        row: row,
+        username: data.username,
+        email: data.email,
+        errors: [...errors],
+      }));
+
+      // Duplicates within the import itself
+      ["username", "email"].forEach((field) => {
+        const firstRow = new Map();
+
+        rows.forEach(({ data }, index) => {
+          const value = data[field];
+
+          if (!value) {
+            return;
+          }
+
+          if (firstRow.has(value)) {
+            results[index].errors.push({ field: field, message: `Duplicate ${field}: same as row ${firstRow.get(value)}` });
+          } else {
+            firstRow.set(value, rows[index].row);
+          }
+        });
+      });
+
+      // Duplicates against existing (including soft-deleted) admins
+      const existingResult = await this.repository.findConflicts({
+        username: rows.map(({ data }) => data.username).filter(Boolean),
+        email: rows.map(({ data }) => data.email).filter(Boolean),
+      });
+
+      if (!existingResult.success) {
+        throw new Error(existingResult.error);
+      }
+
+      for (const field of ["username", "email"]) {
+        const taken = new Set(existingResult.data.map((admin) => admin[field]));
+        rows.forEach(({ data }, index) => {
+          if (taken.has(data[field])) {
+            results[index].errors.push({ field: field, message: `Duplicate ${field}: already exists` });
+          }
+        });
+      }
+
+      rows.forEach(({ data }, index) => {
+        if (actor && roleRank(data.admin_role) < roleRank(actor.admin_role)) {
+          results[index].errors.push({ field: "admin_role", message: "Forbidden: you can't grant a role higher than your own" });
+        }
+      });
+
+      const invalidCount = results.filter((result) => result.errors.length > 0).length;
+
+      if (dryRun || invalidCount > 0) {
+        return {
+          success: true,
+          dryRun: dryRun,
+          created: 0,
+          invalid: invalidCount,
+          results: results.map(({ errors, ...result }) => ({
+            ...result,
+            status: errors.length > 0 ? "invalid" : "valid",
+            ...(errors.length > 0 && { errors }),
+          })),
+        };
+      }
+
+      // Create one by one, a row can still fail if another request took its username or email meanwhile
+      let createdCount = 0;
+
+      for (const [index, { data }] of rows.entries()) {
+        const createResult = await this.createAdmin(data, context);
+        const { errors, ...result } = results[index];
+
+        if (createResult.success) {
+          createdCount++;
+          results[index] = { ...result, status: "created", id: createResult.data.id };
+        } else {
+          results[index] = { ...result, status: "failed", errors: [{ field: null, message: createResult.error }] };
+        }
+      }
+
+      await AuditService.record({
+        action: "admin.bulk_create",
+        context,
+        metadata: { rows: rows.length, created: createdCount },
+      });
+
+      return {
+        success: true,
+        dryRun: false,
+        created: createdCount,
+        failed: rows.length - createdCount,
+        results: results,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Set the status of many admins, each one checked and audited like a single status update
+  async bulkUpdateAdminStatus(ids, admin_status, context = {}) {
+    try {
+      const results = [];
+
+      for (const id of [...new Set(ids)]) {
+        const result = await this.updateAdminStatus(id, admin_status, context);
+
+        results.push(
+          result.success
+            ? { id: id, success: true, data: result.data }
+            : { id: id, success: false, error: result.error }
+        );
+      }
+
+      return {
+        success: true,
+        updated: results.filter((result) => result.success).length,
+        failed: results.filter((result) => !result.success).length,
+        results: results,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   // Update admin status only
-  async updateAdminStatus(id, admin_status) {
+  // options.ifMatch is an If-Match header, the update only applies if the admin still has a matching ETag
+  async updateAdminStatus(id, admin_status, context = {}, { ifMatch } = {}) {
     try {
-      const { data, error } = await supabase
-        .from("user_admin")
-        .update({ admin_status })
-        .eq("id", id)
-        .select("id, fname, lname, username, email, admin_role, admin_status")
-        .single();
+      const before = await this.assertAllowedChange(id, { admin_status }, context.actor || null);
+      this.assertIfMatch(before, ifMatch);
+
+      const changes = { admin_status, updated_at: nextUpdatedAt(before.updated_at) };
+
+      const updateResult = await this.repository.update(id, changes, {
+        columns: ["id", "fname", "lname", "username", "email", "admin_role", "admin_status", "updated_at"],
+        expectedUpdatedAt: this.expectedVersion(before, ifMatch),
+      });
 
-      if (error) {
-        throw new Error(`Failed to update admin status: ${error.message}`);
+      if (!updateResult.success) {
+        throw new Error(`Failed to update admin status: ${updateResult.error}`);
       }
 
+      const { data } = updateResult;
+
+      if (!data) {
+        throw new Error(ifMatch ? "Precondition Failed: admin user was modified by another request" : "Admin user not found");
+      }
+
+      this.invalidateAdminAccess(id);
+
+      await AuditService.record({
+        action: "admin.status_update",
+        context,
+        target: { type: "admin", id },
+        before: pickFields(before, Object.keys(data)),
+        after: data,
+      });
+
       return {
         success: true,
         data: data,
@@ -269,6 +901,165 @@ class AdminService {
     }
   }
 
+  // Throw if an If-Match header no longer matches the admin's ETag
+  assertIfMatch(current, ifMatch) {
+    if (ifMatch && !matchesETag(ifMatch, toETag(current.updated_at))) {
+      throw new Error("Precondition Failed: admin user has been modified, fetch it again and retry");
+    }
+  }
+
+  // Version an update must still find with If-Match, so a concurrent change in between isn't overwritten
+  expectedVersion(before, ifMatch) {
+    return ifMatch ? before.updated_at : undefined;
+  }
+
+  // Guard against privilege escalation and losing the last active super admin
+  // changes.admin_status null means the admin is being removed
+  // Returns the admin as it was before the change
+  async assertAllowedChange(id, changes, actor = null) {
+    const targetResult = await this.getAdminById(id);
+
+    if (!targetResult.success) {
+      throw new Error(targetResult.error);
+    }
+
+    const target = targetResult.data;
+    const roleChanged = changes.admin_role !== undefined && changes.admin_role !== target.admin_role;
+    const statusChanged = changes.admin_status !== undefined && changes.admin_status !== target.admin_status;
+
+    if (actor) {
+      // Impersonation is for seeing what another admin sees, not for changing credentials or roles
+      if (actor.impersonator && (roleChanged || changes.password)) {
+        throw new Error("Forbidden: passwords and roles can't be changed while impersonating");
+      }
+
+      if (roleRank(target.admin_role) < roleRank(actor.admin_role)) {
+        throw new Error("Forbidden: you can't modify an admin with a higher role than your own");
+      }
+
+      if (roleChanged && roleRank(changes.admin_role) < roleRank(actor.admin_role)) {
+        throw new Error("Forbidden: you can't grant a role higher than your own");
+      }
+
+      if (actor.id === id && (roleChanged || statusChanged)) {
+        throw new Error("Forbidden: you can't change your own role or status");
+      }
+    }
+
+    // An invited admin only becomes usable by choosing a password (removing them is fine)
+    if (target.admin_status === "pending" && statusChanged && changes.admin_status !== null && !changes.password) {
+      throw new Error("Conflict: invited admin hasn't accepted the invitation yet");
+    }
+
+    const isActiveSuperAdmin = target.admin_role === SUPER_ADMIN_ROLE && target.admin_status === "active";
+    const staysActiveSuperAdmin =
+      (changes.admin_role ?? target.admin_role) === SUPER_ADMIN_ROLE &&
+      (changes.admin_status === undefined ? target.admin_status : changes.admin_status) === "active";
+
+    if (isActiveSuperAdmin && !staysActiveSuperAdmin) {
+      const countResult = await this.repository.count({ admin_role: SUPER_ADMIN_ROLE, admin_status: "active" }, { excludeId: id });
+
+      if (!countResult.success) {
+        throw new Error(countResult.error);
+      }
+
+      if (countResult.count === 0) {
+        throw new Error("Conflict: at least one active super admin must remain");
+      }
+    }
+
+    return target;
+  }
+
+  // Check a new password of an existing admin against the policy and password history
+  async validateNewPassword(id, password) {
+    try {
+      await this.assertNewPasswordAllowed(id, password);
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Throw if a new password breaks the policy or reuses a recent password
+  // overrides holds a username/email that is being changed together with the password
+  async assertNewPasswordAllowed(id, password, overrides = {}) {
+    const currentResult = await this.repository.findById(id, { columns: ["username", "email", "password"] });
+
+    if (!currentResult.success) {
+      throw new Error(currentResult.error);
+    }
+
+    if (!currentResult.data) {
+      throw new Error("Admin user not found");
+    }
+
+    const current = currentResult.data;
+
+    this.assertPasswordPolicy(password, {
+      username: overrides.username || current.username,
+      email: overrides.email || current.email,
+    });
+
+    if (await this.isPasswordReused(id, password, current.password)) {
+      throw new Error(`Password policy violation: Password must not match any of the last ${passwordPolicy.historySize} passwords`);
+    }
+  }
+
+  // Throw if a password breaks the password policy
+  assertPasswordPolicy(password, context) {
+    const policyResult = checkPassword(password, context);
+
+    if (!policyResult.isValid) {
+      throw new Error(`Password policy violation: ${policyResult.errors.join("; ")}`);
+    }
+  }
+
+  // Check a new password against the current one and the last N remembered ones
+  async isPasswordReused(id, plainPassword, currentHash) {
+    if (!passwordPolicy.historySize) {
+      return false;
+    }
+
+    const historyResult = await passwordHistoryStore.listRecent(id, passwordPolicy.historySize);
+
+    if (!historyResult.success) {
+      throw new Error(`Failed to read password history: ${historyResult.error}`);
+    }
+
+    const hashes = [...new Set([currentHash, ...historyResult.data].filter(Boolean))];
+
+    for (const hash of hashes) {
+      if (await bcrypt.compare(plainPassword, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Remember a password hash so it can't be reused
+  async recordPasswordHistory(id, passwordHash) {
+    if (!passwordPolicy.historySize) {
+      return;
+    }
+
+    const addResult = await passwordHistoryStore.add(id, passwordHash);
+
+    if (!addResult.success) {
+      console.error("❌ Failed to record password history:", addResult.error);
+      return;
+    }
+
+    await passwordHistoryStore.prune(id, passwordPolicy.historySize);
+  }
+
   // Verify admin password (for login)
   async verifyPassword(plainPassword, hashedPassword) {
     try {
@@ -285,15 +1076,107 @@ class AdminService {
     }
   }
 
+  // Verify the current password of an admin by ID (for changes that need re-authentication)
+  async verifyAdminPassword(id, plainPassword) {
+    try {
+      const result = await this.repository.findById(id, { columns: ["password"] });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.data) {
+        throw new Error("Admin user not found");
+      }
+
+      return await this.verifyPassword(plainPassword, result.data.password);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Remember when an admin last logged in
+  // Leaves updated_at alone, so logging in doesn't invalidate anyone's If-Match
+  async recordLastLogin(id, loggedInAt = new Date().toISOString()) {
+    try {
+      const result = await this.repository.update(id, { last_login_at: loggedInAt }, { columns: ["id"] });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Set active admins that haven't logged in for dormantDays to inactive
+  // Each change goes through updateAdminStatus, so the last active super admin is never deactivated
+  async deactivateDormantAdmins({ dormantDays = ADMIN_DORMANT_AFTER_DAYS } = {}, context = {}) {
+    try {
+      const cutoff = daysAgo(dormantDays);
+
+      const listResult = await this.repository.list({
+        filters: { admin_status: "active" },
+        columns: ["id", "username", "admin_status", "create", "last_login_at"],
+      });
+
+      if (!listResult.success) {
+        throw new Error(listResult.error);
+      }
+
+      const results = [];
+
+      for (const admin of listResult.data.filter((row) => isDormant(row, cutoff))) {
+        const result = await this.updateAdminStatus(admin.id, "inactive", context);
+
+        results.push(
+          result.success
+            ? { id: admin.id, username: admin.username, last_login_at: admin.last_login_at, success: true }
+            : { id: admin.id, username: admin.username, last_login_at: admin.last_login_at, success: false, error: result.error }
+        );
+      }
+
+      return {
+        success: true,
+        deactivated: results.filter((result) => result.success).length,
+        failed: results.filter((result) => !result.success).length,
+        results: results,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   // Get admin statistics
-  async getAdminStats() {
+  // Active admins without a login in the last dormantDays days are listed as dormant
+  async getAdminStats({ dormantDays = ADMIN_DORMANT_AFTER_DAYS } = {}) {
     try {
-      const { data, error } = await supabase.from("user_admin").select("admin_role, admin_status");
+      const listResult = await this.repository.list({ columns: ["id", "username", "admin_role", "admin_status", "create", "last_login_at"] });
 
-      if (error) {
-        throw new Error(`Database error: ${error.message}`);
+      if (!listResult.success) {
+        throw new Error(listResult.error);
       }
 
+      const { data } = listResult;
+
+      const cutoff = daysAgo(dormantDays);
+      const dormantAdmins = data
+        .filter((admin) => isDormant(admin, cutoff))
+        .map(({ id, username, admin_role, last_login_at }) => ({ id, username, admin_role, last_login_at }));
+
       const stats = {
         total: data.length,
         byRole: {
@@ -305,6 +1188,12 @@ class AdminService {
           active: data.filter((admin) => admin.admin_status === "active").length,
           inactive: data.filter((admin) => admin.admin_status === "inactive").length,
           suspended: data.filter((admin) => admin.admin_status === "suspended").length,
+          pending: data.filter((admin) => admin.admin_status === "pending").length,
+        },
+        dormant: {
+          days: dormantDays,
+          count: dormantAdmins.length,
+          admins: dormantAdmins,
         },
       };
 
@@ -321,4 +1210,6 @@ class AdminService {
   }
 }
 
+export { AdminService };
+
 export default new AdminService();
@@ -0,0 +1,128 @@
+import { v4 as uuidv4 } from "uuid";
+import auditLogStore from "../stores/auditLogStore.js";
+
+const SENSITIVE_FIELD = /password|secret|token|recovery/i;
+const REDACTED = "[REDACTED]";
+
+// Replace values of sensitive fields, keeping the fact that they were set
+const redact = (record) => {
+  if (!record) {
+    return null;
+  }
+
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [key, SENSITIVE_FIELD.test(key) ? REDACTED : value]));
+};
+
+/**
+ * Diff two versions of a record
+ * @param {Object|null} before - Record before the change (null when created)
+ * @param {Object|null} after - Record after the change (null when deleted)
+ * @returns {Object} - { field: { from, to } } for every changed field, sensitive values redacted
+ */
+export const diffRecords = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      const sensitive = SENSITIVE_FIELD.test(key);
+      changes[key] = {
+        from: sensitive && from !== undefined ? REDACTED : from ?? null,
+        to: sensitive && to !== undefined ? REDACTED : to ?? null,
+      };
+    }
+  });
+
+  return changes;
+};
+
+class AuditService {
+  constructor(store = auditLogStore) {
+    this.store = store;
+  }
+
+  /**
+   * Append an audit entry
+   * Failing to audit is logged but never fails the operation being audited
+   * @param {Object} event - action, context (from getRequestContext), actor (overrides context.actor),
+   *                         target ({ type, id }), before/after records and metadata
+   * @returns {Promise<Object>} - Append result
+   */
+  async record({ action, context = {}, actor, target = {}, before = null, after = null, metadata = null }) {
+    try {
+      const who = actor || context.actor || null;
+
+      const result = await this.store.append({
+        id: uuidv4(),
+        occurred_at: new Date().toISOString(),
+        action: action,
+        actor_id: who ? who.id : null,
+        actor_username: who ? who.username : null,
+        // Requests made while impersonating are attributed to both admins
+        impersonator_id: who && who.impersonator ? who.impersonator.id : null,
+        impersonator_username: who && who.impersonator ? who.impersonator.username : null,
+        target_type: target.type || null,
+        target_id: target.id || null,
+        changes: before || after ? diffRecords(before, after) : null,
+        metadata: redact(metadata),
+        ip_address: context.ipAddress || null,
+        user_agent: context.userAgent || null,
+        request_id: context.requestId || null,
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error(`❌ Failed to audit ${action}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // List audit entries, newest first
+  async list(filters = {}, paging = {}) {
+    try {
+      const page = paging.page || 1;
+      const limit = paging.limit || 50;
+
+      // Stores compare timestamps as ISO strings
+      const toIso = (value) => (value ? new Date(value).toISOString() : undefined);
+      const result = await this.store.list({ ...filters, from: toIso(filters.from), to: toIso(filters.to) }, { page, limit });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        data: result.data,
+        count: result.data.length,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+          hasNextPage: page * limit < result.total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { AuditService };
+
+export default new AuditService();
@@ -0,0 +1,295 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import invitationStore, { invitationStatus } from "../stores/invitationStore.js";
+import AdminService from "./adminService.js";
+import MailService from "./mailService.js";
+import AuditService from "./auditService.js";
+
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_EXPIRES_HOURS, 10) || 72;
+
+export const INVITATION_STATUSES = ["pending", "accepted", "expired", "revoked"];
+
+// Only the hash is stored, so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const newToken = () => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  return {
+    token: token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  };
+};
+
+// Invitation as returned by the API, without the token hash
+const present = (row) => {
+  const { token_hash: _, ...invitation } = row;
+  return { ...invitation, status: invitationStatus(row) };
+};
+
+class InvitationService {
+  constructor(store = invitationStore) {
+    this.store = store;
+  }
+
+  // Create a pending admin and email them a link to choose their password
+  async invite({ fname, lname, username, email, admin_role }, context = {}) {
+    try {
+      const { actor = null } = context;
+
+      const createResult = await AdminService.createAdmin(
+        { fname, lname, username, email, admin_role, admin_status: "pending", password: null },
+        context
+      );
+
+      if (!createResult.success) {
+        throw new Error(createResult.error);
+      }
+
+      const admin = createResult.data;
+      const { token, tokenHash, expiresAt } = newToken();
+
+      const saveResult = await this.store.create({
+        id: uuidv4(),
+        admin_id: admin.id,
+        email: admin.email,
+        admin_role: admin.admin_role,
+        token_hash: tokenHash,
+        invited_by: actor ? actor.id : null,
+        expires_at: expiresAt,
+      });
+
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+
+      const mailResult = await MailService.sendInvitation(admin, actor, token, expiresAt);
+
+      if (!mailResult.success) {
+        console.error("❌ Failed to send invitation, resend it once mail works again:", mailResult.error);
+      }
+
+      await AuditService.record({
+        action: "invitation.create",
+        context,
+        target: { type: "admin", id: admin.id },
+        metadata: { invitationId: saveResult.data.id, emailSent: mailResult.success },
+      });
+
+      return {
+        success: true,
+        data: {
+          ...present(saveResult.data),
+          admin: admin,
+          emailSent: mailResult.success,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Set the invitee's password and activate the account
+  async accept(token, password, context = {}) {
+    try {
+      const tokenHash = hashToken(token);
+      const findResult = await this.store.findValid(tokenHash);
+
+      if (!findResult.success) {
+        throw new Error(findResult.error);
+      }
+
+      if (!findResult.data) {
+        throw new Error("Invalid or expired invitation");
+      }
+
+      const adminId = findResult.data.admin_id;
+
+      // Check the password before using up the token, so a rejected password doesn't need a new invitation
+      const passwordResult = await AdminService.validateNewPassword(adminId, password);
+
+      if (!passwordResult.success) {
+        throw new Error(passwordResult.error);
+      }
+
+      const acceptResult = await this.store.accept(tokenHash);
+
+      if (!acceptResult.success) {
+        throw new Error(acceptResult.error);
+      }
+
+      if (!acceptResult.data) {
+        throw new Error("Invalid or expired invitation");
+      }
+
+      const updateResult = await AdminService.updateAdmin(adminId, { password: password, admin_status: "active" }, { ...context, actor: null });
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      await AuditService.record({
+        action: "invitation.accept",
+        context,
+        target: { type: "admin", id: adminId },
+        metadata: { invitationId: acceptResult.data.id },
+      });
+
+      return {
+        success: true,
+        data: updateResult.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // List invitations, newest first
+  async list(filters = {}, paging = {}) {
+    try {
+      const page = paging.page || 1;
+      const limit = paging.limit || 50;
+      const result = await this.store.list(filters, { page, limit });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        data: result.data.map(present),
+        count: result.data.length,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+          hasNextPage: page * limit < result.total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Email a new link (with a new expiry) for an invitation that hasn't been accepted or revoked
+  async resend(id, context = {}) {
+    try {
+      const findResult = await this.store.findById(id);
+
+      if (!findResult.success) {
+        throw new Error(findResult.error);
+      }
+
+      if (!findResult.data) {
+        throw new Error("Invitation not found");
+      }
+
+      const status = invitationStatus(findResult.data);
+
+      if (status === "accepted" || status === "revoked") {
+        throw new Error(`Conflict: invitation has been ${status}`);
+      }
+
+      const adminResult = await AdminService.getAdminById(findResult.data.admin_id);
+
+      if (!adminResult.success) {
+        throw new Error(adminResult.error);
+      }
+
+      const { token, tokenHash, expiresAt } = newToken();
+      const renewResult = await this.store.renew(id, { token_hash: tokenHash, expires_at: expiresAt });
+
+      if (!renewResult.success) {
+        throw new Error(renewResult.error);
+      }
+
+      if (!renewResult.data) {
+        throw new Error("Conflict: invitation was changed by another request");
+      }
+
+      const mailResult = await MailService.sendInvitation(adminResult.data, context.actor || null, token, expiresAt);
+
+      if (!mailResult.success) {
+        throw new Error(`Failed to send invitation: ${mailResult.error}`);
+      }
+
+      await AuditService.record({
+        action: "invitation.resend",
+        context,
+        target: { type: "admin", id: findResult.data.admin_id },
+        metadata: { invitationId: id, sendCount: renewResult.data.send_count },
+      });
+
+      return {
+        success: true,
+        data: present(renewResult.data),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Revoke an invitation and remove the pending admin for good, so the link stops working and they can be invited again
+  // In the database the invitation row goes with the admin (ON DELETE CASCADE), the audit log keeps the revocation
+  async revoke(id, context = {}) {
+    try {
+      const revokeResult = await this.store.revoke(id);
+
+      if (!revokeResult.success) {
+        throw new Error(revokeResult.error);
+      }
+
+      if (!revokeResult.data) {
+        const findResult = await this.store.findById(id);
+
+        if (!findResult.success || !findResult.data) {
+          throw new Error("Invitation not found");
+        }
+
+        throw new Error(`Conflict: invitation has been ${invitationStatus(findResult.data)}`);
+      }
+
+      const removeResult = await AdminService.removePendingAdmin(revokeResult.data.admin_id, context);
+
+      if (!removeResult.success) {
+        console.error("❌ Failed to remove the admin of a revoked invitation:", removeResult.error);
+      }
+
+      await AuditService.record({
+        action: "invitation.revoke",
+        context,
+        target: { type: "admin", id: revokeResult.data.admin_id },
+        metadata: { invitationId: id },
+      });
+
+      return {
+        success: true,
+        data: present(revokeResult.data),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { InvitationService };
+
+export default new InvitationService();
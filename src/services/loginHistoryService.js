@@ -0,0 +1,90 @@
+import { v4 as uuidv4 } from "uuid";
+import loginHistoryStore from "../stores/loginHistoryStore.js";
+import AdminService from "./adminService.js";
+
+export const LOGIN_OUTCOMES = ["success", "failure", "mfa_required"];
+
+class LoginHistoryService {
+  constructor(store = loginHistoryStore) {
+    this.store = store;
+  }
+
+  /**
+   * Record a login attempt, and the last login time on success
+   * Failing to record is logged but never fails the login
+   * @param {Object} attempt - admin (if the username matched), username, outcome, reason and context (from getRequestContext)
+   * @returns {Promise<Object>} - Record result
+   */
+  async record({ admin = null, username = null, outcome, reason = null, context = {} }) {
+    try {
+      const occurredAt = new Date().toISOString();
+
+      const result = await this.store.append({
+        id: uuidv4(),
+        admin_id: admin ? admin.id : null,
+        username: admin ? admin.username : username,
+        outcome: outcome,
+        reason: reason,
+        ip_address: context.ipAddress || null,
+        user_agent: context.userAgent || null,
+        occurred_at: occurredAt,
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (outcome === "success" && admin) {
+        const lastLoginResult = await AdminService.recordLastLogin(admin.id, occurredAt);
+
+        if (!lastLoginResult.success) {
+          throw new Error(lastLoginResult.error);
+        }
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error("❌ Failed to record login attempt:", error.message);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // List login attempts of an admin, newest first
+  async listForAdmin(adminId, filters = {}, paging = {}) {
+    try {
+      const page = paging.page || 1;
+      const limit = paging.limit || 50;
+      const result = await this.store.listByAdmin(adminId, filters, { page, limit });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        data: result.data,
+        count: result.data.length,
+        pagination: {
+          page: page,
+          limit: limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit),
+          hasNextPage: page * limit < result.total,
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { LoginHistoryService };
+
+export default new LoginHistoryService();
@@ -0,0 +1,155 @@
+import loginAttemptStore from "../stores/loginAttemptStore.js";
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+export const DEFAULT_THROTTLE_POLICY = {
+  maxAccountFailures: envInt("LOGIN_MAX_ACCOUNT_FAILURES", 5),
+  maxIpFailures: envInt("LOGIN_MAX_IP_FAILURES", 20),
+  failureWindowMs: envInt("LOGIN_FAILURE_WINDOW_MINUTES", 15) * 60 * 1000,
+  lockoutBaseMs: envInt("LOGIN_LOCKOUT_BASE_SECONDS", 60) * 1000,
+  lockoutMaxMs: envInt("LOGIN_LOCKOUT_MAX_SECONDS", 60 * 60) * 1000,
+};
+
+const MAX_SAVE_RETRIES = 3;
+
+export const ipKey = (ip) => `ip:${ip}`;
+export const accountKey = (username) => `account:${String(username).trim().toLowerCase()}`;
+
+class LoginThrottleService {
+  constructor(store = loginAttemptStore, policy = DEFAULT_THROTTLE_POLICY) {
+    this.store = store;
+    this.policy = policy;
+  }
+
+  // Check whether an IP or an account is currently locked
+  async check({ ip, username }) {
+    try {
+      const keys = [ip && ipKey(ip), username && accountKey(username)].filter(Boolean);
+      const now = Date.now();
+
+      for (const key of keys) {
+        const result = await this.store.get(key);
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        const row = result.data;
+
+        if (row && row.locked_until && new Date(row.locked_until).getTime() > now) {
+          return {
+            success: true,
+            blocked: true,
+            scope: key.startsWith("ip:") ? "ip" : "account",
+            retryAfter: Math.ceil((new Date(row.locked_until).getTime() - now) / 1000),
+          };
+        }
+      }
+
+      return { success: true, blocked: false };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Count a failed attempt against the IP and the account
+  async recordFailure({ ip, username }) {
+    try {
+      if (ip) {
+        await this.incrementFailures(ipKey(ip), this.policy.maxIpFailures);
+      }
+
+      if (username) {
+        await this.incrementFailures(accountKey(username), this.policy.maxAccountFailures);
+      }
+
+      await this.store.purgeStale(new Date(Date.now() - this.policy.failureWindowMs).toISOString());
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Successful login clears the account's failures
+  async recordSuccess({ username }) {
+    return this.unlockAccount(username);
+  }
+
+  // Clear the failures and lock of an account
+  async unlockAccount(username) {
+    try {
+      const result = await this.store.delete(accountKey(username));
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Lock duration doubles with every failure past the limit
+  getLockoutMs(failures, maxFailures) {
+    if (failures < maxFailures) {
+      return 0;
+    }
+
+    return Math.min(this.policy.lockoutBaseMs * 2 ** (failures - maxFailures), this.policy.lockoutMaxMs);
+  }
+
+  async incrementFailures(key, maxFailures) {
+    for (let attempt = 0; attempt < MAX_SAVE_RETRIES; attempt++) {
+      const result = await this.store.get(key);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const current = result.data;
+      const now = Date.now();
+      const isLocked = current && current.locked_until && new Date(current.locked_until).getTime() > now;
+      const isStale = current && now - new Date(current.last_failure_at).getTime() > this.policy.failureWindowMs;
+
+      // Start counting again once the window has passed since the last failure
+      const failures = current && (isLocked || !isStale) ? current.failures + 1 : 1;
+      const lockoutMs = this.getLockoutMs(failures, maxFailures);
+
+      const saveResult = await this.store.save(
+        key,
+        {
+          failures: failures,
+          first_failure_at: failures === 1 ? new Date(now).toISOString() : current.first_failure_at,
+          last_failure_at: new Date(now).toISOString(),
+          locked_until: lockoutMs > 0 ? new Date(now + lockoutMs).toISOString() : null,
+        },
+        current ? current.failures : null
+      );
+
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+
+      if (saveResult.saved) {
+        return;
+      }
+    }
+
+    throw new Error("Failed to record login failure: too much contention");
+  }
+}
+
+export { LoginThrottleService };
+
+export default new LoginThrottleService();
@@ -0,0 +1,111 @@
+import mailTransport from "../utils/mailTransport.js";
+
+const MAIL_FROM = process.env.MAIL_FROM || "Funch Hotel <no-reply@funch-hotel.local>";
+const APP_URL = process.env.FRONTEND_URL || "http://localhost:3000";
+
+class MailService {
+  constructor(transport = mailTransport) {
+    this.transport = transport;
+  }
+
+  // Send an email through the configured transport
+  async send({ to, subject, text }) {
+    try {
+      const result = await this.transport.send({ from: MAIL_FROM, to, subject, text });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        messageId: result.messageId,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Send password reset link
+  async sendPasswordReset(admin, token, expiresAt) {
+    const resetUrl = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: admin.email,
+      subject: "Reset your Funch Hotel admin password",
+      text: [
+        `Hi ${admin.fname},`,
+        "",
+        "We received a request to reset the password of your Funch Hotel admin account.",
+        `Use the link below to choose a new password. It expires at ${new Date(expiresAt).toUTCString()}.`,
+        "",
+        resetUrl,
+        "",
+        "If you didn't ask for this, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  // Send a link to confirm a new email address
+  async sendEmailChangeVerification(admin, newEmail, token, expiresAt) {
+    const confirmUrl = `${APP_URL}/confirm-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: newEmail,
+      subject: "Confirm your new Funch Hotel admin email",
+      text: [
+        `Hi ${admin.fname},`,
+        "",
+        `You asked to use this address for the Funch Hotel admin account ${admin.username}.`,
+        `Use the link below to confirm it. It expires at ${new Date(expiresAt).toUTCString()}.`,
+        "",
+        confirmUrl,
+        "",
+        "If you didn't ask for this, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+
+  // Tell the old address that the account email was changed
+  async sendEmailChangedNotice(admin, oldEmail, newEmail) {
+    return this.send({
+      to: oldEmail,
+      subject: "Your Funch Hotel admin email was changed",
+      text: [
+        `Hi ${admin.fname},`,
+        "",
+        `The email of the Funch Hotel admin account ${admin.username} was changed to ${newEmail}.`,
+        "",
+        "If you didn't do this, contact a super admin right away.",
+      ].join("\n"),
+    });
+  }
+
+  // Send an invitation to set up an admin account
+  async sendInvitation(admin, inviter, token, expiresAt) {
+    const acceptUrl = `${APP_URL}/accept-invitation?token=${encodeURIComponent(token)}`;
+    const invitedBy = inviter ? `${inviter.fname || inviter.username} invited you` : "You have been invited";
+
+    return this.send({
+      to: admin.email,
+      subject: "You're invited to the Funch Hotel admin",
+      text: [
+        `Hi ${admin.fname},`,
+        "",
+        `${invitedBy} to the Funch Hotel admin as ${admin.admin_role}.`,
+        `Your username is ${admin.username}. Use the link below to choose a password. It expires at ${new Date(expiresAt).toUTCString()}.`,
+        "",
+        acceptUrl,
+        "",
+        "If you weren't expecting this, you can ignore this email.",
+      ].join("\n"),
+    });
+  }
+}
+
+export { MailService };
+
+export default new MailService();
@@ -0,0 +1,347 @@
+import crypto from "crypto";
+import mfaStore from "../stores/mfaStore.js";
+import { generateSecret, verifyTOTP, buildOtpauthURI } from "../utils/totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_ISSUER = process.env.MFA_ISSUER || "Funch Hotel";
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.toLowerCase().replace(/[\s-]/g, "")).digest("hex");
+
+// Recovery codes look like "a1b2c-3d4e5"
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString("hex");
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+class MfaService {
+  /**
+   * @param {Object} store - MFA store
+   * @param {Function} clock - Returns the current time in ms (inject a fixed clock in tests)
+   */
+  constructor(store = mfaStore, clock = () => Date.now()) {
+    this.store = store;
+    this.clock = clock;
+  }
+
+  // Get MFA enrollment status of an admin
+  async getStatus(adminId) {
+    try {
+      const result = await this.store.getFactor(adminId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const factor = result.data;
+
+      return {
+        success: true,
+        data: {
+          enabled: Boolean(factor && factor.enabled),
+          confirmedAt: factor ? factor.confirmed_at : null,
+          recoveryCodesRemaining: factor && factor.enabled ? factor.recovery_codes.length : 0,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Start enrollment: generate a secret that becomes active once confirmed with a code
+  async beginEnrollment(admin) {
+    try {
+      const factorResult = await this.store.getFactor(admin.id);
+
+      if (!factorResult.success) {
+        throw new Error(factorResult.error);
+      }
+
+      if (factorResult.data && factorResult.data.enabled) {
+        throw new Error("Two-factor authentication is already enabled");
+      }
+
+      const secret = generateSecret();
+      const saveResult = await this.store.saveFactor(admin.id, {
+        secret: secret,
+        enabled: false,
+        recovery_codes: [],
+        last_used_step: null,
+        confirmed_at: null,
+      });
+
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+
+      return {
+        success: true,
+        data: {
+          secret: secret,
+          otpauthUri: buildOtpauthURI({ secret, accountName: admin.username, issuer: MFA_ISSUER }),
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Confirm enrollment with a code from the authenticator app and issue recovery codes
+  async confirmEnrollment(adminId, code) {
+    try {
+      const factorResult = await this.store.getFactor(adminId);
+
+      if (!factorResult.success) {
+        throw new Error(factorResult.error);
+      }
+
+      const factor = factorResult.data;
+
+      if (!factor || !factor.secret) {
+        throw new Error("Two-factor enrollment not found, start setup first");
+      }
+
+      if (factor.enabled) {
+        throw new Error("Two-factor authentication is already enabled");
+      }
+
+      const verifyResult = verifyTOTP(factor.secret, code, { timestamp: this.clock() });
+
+      if (!verifyResult.success) {
+        throw new Error(verifyResult.error);
+      }
+
+      if (!verifyResult.isValid) {
+        throw new Error("Invalid two-factor code");
+      }
+
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+      const saveResult = await this.store.saveFactor(adminId, {
+        enabled: true,
+        recovery_codes: recoveryCodes.map(hashRecoveryCode),
+        last_used_step: verifyResult.timeStep,
+        confirmed_at: new Date(this.clock()).toISOString(),
+      });
+
+      if (!saveResult.success) {
+        throw new Error(saveResult.error);
+      }
+
+      return {
+        success: true,
+        data: {
+          enabled: true,
+          recoveryCodes: recoveryCodes,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Verify a second factor: either a TOTP code or a one-time recovery code
+  async verifySecondFactor(adminId, { code, recoveryCode }) {
+    try {
+      const factorResult = await this.store.getFactor(adminId);
+
+      if (!factorResult.success) {
+        throw new Error(factorResult.error);
+      }
+
+      const factor = factorResult.data;
+
+      if (!factor || !factor.enabled) {
+        throw new Error("Two-factor authentication is not enabled");
+      }
+
+      if (recoveryCode) {
+        const consumeResult = await this.store.consumeRecoveryCode(adminId, hashRecoveryCode(recoveryCode));
+
+        if (!consumeResult.success) {
+          throw new Error(consumeResult.error);
+        }
+
+        return {
+          success: true,
+          isValid: consumeResult.consumed,
+          method: "recovery_code",
+          ...(consumeResult.consumed && { recoveryCodesRemaining: consumeResult.remaining }),
+        };
+      }
+
+      const verifyResult = verifyTOTP(factor.secret, code, { timestamp: this.clock() });
+
+      if (!verifyResult.success) {
+        throw new Error(verifyResult.error);
+      }
+
+      if (!verifyResult.isValid) {
+        return { success: true, isValid: false, method: "totp" };
+      }
+
+      // Reject a code that was already used
+      const markResult = await this.store.markStepUsed(adminId, verifyResult.timeStep);
+
+      if (!markResult.success) {
+        throw new Error(markResult.error);
+      }
+
+      return {
+        success: true,
+        isValid: markResult.recorded,
+        method: "totp",
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Turn off two-factor authentication (requires a valid code)
+  async disable(admin, { code, recoveryCode }) {
+    try {
+      const requirementResult = await this.isRequiredForRole(admin.admin_role);
+
+      if (!requirementResult.success) {
+        throw new Error(requirementResult.error);
+      }
+
+      if (requirementResult.required) {
+        throw new Error(`Two-factor authentication is required for role ${admin.admin_role}`);
+      }
+
+      const verifyResult = await this.verifySecondFactor(admin.id, { code, recoveryCode });
+
+      if (!verifyResult.success) {
+        throw new Error(verifyResult.error);
+      }
+
+      if (!verifyResult.isValid) {
+        throw new Error("Invalid two-factor code");
+      }
+
+      const deleteResult = await this.store.deleteFactor(admin.id);
+
+      if (!deleteResult.success) {
+        throw new Error(deleteResult.error);
+      }
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Check whether an admin role must use two-factor authentication
+  async isRequiredForRole(role) {
+    try {
+      const result = await this.store.getRolePolicies();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const policy = result.data.find((row) => row.admin_role === role);
+
+      return {
+        success: true,
+        required: Boolean(policy && policy.mfa_required),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Work out what login needs from an admin: a second factor, or enrollment first
+  async getLoginRequirement(admin) {
+    try {
+      const statusResult = await this.getStatus(admin.id);
+
+      if (!statusResult.success) {
+        throw new Error(statusResult.error);
+      }
+
+      const requirementResult = await this.isRequiredForRole(admin.admin_role);
+
+      if (!requirementResult.success) {
+        throw new Error(requirementResult.error);
+      }
+
+      return {
+        success: true,
+        mfaEnabled: statusResult.data.enabled,
+        enrollmentRequired: requirementResult.required && !statusResult.data.enabled,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Get the MFA requirement of every role
+  async getRolePolicies() {
+    try {
+      const result = await this.store.getRolePolicies();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        data: result.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Require (or stop requiring) two-factor authentication for a role
+  async setRolePolicy(role, mfaRequired, updatedBy) {
+    try {
+      const result = await this.store.setRolePolicy(role, mfaRequired, updatedBy);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        data: result.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export { MfaService };
+
+export default new MfaService();
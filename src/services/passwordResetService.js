@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import passwordResetStore from "../stores/passwordResetStore.js";
+import AdminService from "./adminService.js";
+import SessionService from "./sessionService.js";
+import MailService from "./mailService.js";
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+// Only the hash is stored, so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+class PasswordResetService {
+  constructor(store = passwordResetStore) {
+    this.store = store;
+  }
+
+  // Email a reset link to the admin with this email address
+  // Succeeds even if nobody matches, so callers can't probe for accounts
+  async requestReset(email, meta = {}) {
+    try {
+      const adminResult = await AdminService.getAdminByEmail(email);
+
+      if (!adminResult.success || adminResult.data.admin_status !== "active") {
+        return { success: true };
+      }
+
+      const admin = adminResult.data;
+
+      // Only the latest link should work
+      const invalidateResult = await this.store.invalidateForAdmin(admin.id);
+
+      if (!invalidateResult.success) {
+        throw new Error(invalidateResult.error);
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+
+      const createResult = await this.store.create({
+        id: uuidv4(),
+        admin_id: admin.id,
+        token_hash: hashToken(token),
+        requested_ip: meta.ipAddress || null,
+        expires_at: expiresAt,
+      });
+
+      if (!createResult.success) {
+        throw new Error(createResult.error);
+      }
+
+      const mailResult = await MailService.sendPasswordReset(admin, token, expiresAt);
+
+      if (!mailResult.success) {
+        throw new Error(mailResult.error);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Set a new password with a reset token and sign the admin out everywhere
+  async resetPassword(token, newPassword, context = {}) {
+    try {
+      const tokenHash = hashToken(token);
+      const findResult = await this.store.findValid(tokenHash);
+
+      if (!findResult.success) {
+        throw new Error(findResult.error);
+      }
+
+      if (!findResult.data) {
+        throw new Error("Invalid or expired reset token");
+      }
+
+      const adminId = findResult.data.admin_id;
+
+      // Check the password before using up the token, so a rejected password doesn't need a new link
+      const passwordResult = await AdminService.validateNewPassword(adminId, newPassword);
+
+      if (!passwordResult.success) {
+        throw new Error(passwordResult.error);
+      }
+
+      const consumeResult = await this.store.consume(tokenHash);
+
+      if (!consumeResult.success) {
+        throw new Error(consumeResult.error);
+      }
+
+      if (!consumeResult.data) {
+        throw new Error("Invalid or expired reset token");
+      }
+      const updateResult = await AdminService.updateAdmin(adminId, { password: newPassword }, { ...context, actor: null });
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      await this.store.invalidateForAdmin(adminId);
+
+      const revokeResult = await SessionService.revokeAllSessions(adminId, "password_reset");
+
+      if (!revokeResult.success) {
+        throw new Error(revokeResult.error);
+      }
+
+      return {
+        success: true,
+        data: {
+          id: adminId,
+          revokedSessions: revokeResult.count,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default new PasswordResetService();
@@ -0,0 +1,118 @@
+import rolePermissionStore from "../stores/rolePermissionStore.js";
+import { ADMIN_ROLES, ALL_PERMISSIONS, SUPER_ADMIN_ROLE } from "../config/permissions.js";
+
+// Other processes pick up mapping changes within this time
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+
+class PermissionService {
+  constructor(store = rolePermissionStore, cacheTtlMs = CACHE_TTL_MS) {
+    this.store = store;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = null; // { mapping, loadedAt }
+  }
+
+  // Get { role: [permission] } for every role, from cache when fresh
+  async getMapping() {
+    try {
+      if (this.cache && Date.now() - this.cache.loadedAt < this.cacheTtlMs) {
+        return { success: true, data: this.cache.mapping };
+      }
+
+      const result = await this.store.listAll();
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const mapping = Object.fromEntries(ADMIN_ROLES.map((role) => [role, []]));
+
+      result.data.forEach(({ admin_role, permission }) => {
+        if (mapping[admin_role] && ALL_PERMISSIONS.includes(permission)) {
+          mapping[admin_role].push(permission);
+        }
+      });
+
+      mapping[SUPER_ADMIN_ROLE] = [...ALL_PERMISSIONS];
+
+      this.cache = { mapping, loadedAt: Date.now() };
+
+      return { success: true, data: mapping };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Get permissions of a role
+  async getPermissionsForRole(role) {
+    const result = await this.getMapping();
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, data: result.data[role] || [] };
+  }
+
+  // Check whether a role holds all the given permissions
+  async hasPermissions(role, permissions) {
+    const result = await this.getPermissionsForRole(role);
+
+    if (!result.success) {
+      return result;
+    }
+
+    const missing = permissions.filter((permission) => !result.data.includes(permission));
+
+    return {
+      success: true,
+      allowed: missing.length === 0,
+      missing: missing,
+    };
+  }
+
+  // Replace the permissions of a role
+  async setRolePermissions(role, permissions) {
+    try {
+      if (role === SUPER_ADMIN_ROLE) {
+        throw new Error("Super admin permissions can't be changed");
+      }
+
+      if (!ADMIN_ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+
+      const unknown = permissions.filter((permission) => !ALL_PERMISSIONS.includes(permission));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown permissions: ${unknown.join(", ")}`);
+      }
+
+      const result = await this.store.setRolePermissions(role, [...new Set(permissions)]);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.invalidate();
+
+      return await this.getPermissionsForRole(role);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Drop the cached mapping so the next check reloads it
+  invalidate() {
+    this.cache = null;
+  }
+}
+
+export { PermissionService };
+
+export default new PermissionService();
@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import emailChangeStore from "../stores/emailChangeStore.js";
+import AdminService from "./adminService.js";
+import SessionService from "./sessionService.js";
+import MailService from "./mailService.js";
+import AuditService from "./auditService.js";
+
+const EMAIL_CHANGE_TTL_MINUTES = parseInt(process.env.EMAIL_CHANGE_EXPIRES_MINUTES, 10) || 60;
+
+// Fields an admin may change on their own profile without extra checks
+export const PROFILE_FIELDS = ["fname", "lname"];
+
+// Only the hash is stored, so a database leak doesn't leak usable tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+class ProfileService {
+  constructor(store = emailChangeStore) {
+    this.store = store;
+  }
+
+  // Update the profile fields of the current admin
+  async updateProfile(adminId, changes, context = {}) {
+    const profileChanges = Object.fromEntries(PROFILE_FIELDS.filter((field) => changes[field] !== undefined).map((field) => [field, changes[field]]));
+
+    if (Object.keys(profileChanges).length === 0) {
+      return {
+        success: false,
+        error: `Nothing to update, provide at least one of: ${PROFILE_FIELDS.join(", ")}`,
+      };
+    }
+
+    return AdminService.updateAdmin(adminId, profileChanges, context);
+  }
+
+  // Change the password of the current admin after confirming the current one
+  // Every other session is signed out
+  async changePassword(adminId, currentPassword, newPassword, context = {}) {
+    try {
+      await this.assertCurrentPassword(adminId, currentPassword, "password_change", context);
+
+      const updateResult = await AdminService.updateAdmin(adminId, { password: newPassword }, context);
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      const currentSessionId = context.actor ? context.actor.sessionId : null;
+      const revokeResult = await SessionService.revokeAllSessions(adminId, "password_changed", currentSessionId);
+
+      if (!revokeResult.success) {
+        throw new Error(revokeResult.error);
+      }
+
+      return {
+        success: true,
+        data: {
+          id: adminId,
+          revokedSessions: revokeResult.count,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Email a confirmation link to the new address, the email only changes once it is confirmed
+  async requestEmailChange(adminId, currentPassword, newEmail, context = {}) {
+    try {
+      await this.assertCurrentPassword(adminId, currentPassword, "email_change", context);
+
+      const adminResult = await AdminService.getAdminById(adminId);
+
+      if (!adminResult.success) {
+        throw new Error(adminResult.error);
+      }
+
+      const admin = adminResult.data;
+
+      if (admin.email === newEmail) {
+        throw new Error("Conflict: new email is the same as the current one");
+      }
+
+      const duplicateCheck = await AdminService.checkDuplicateCredentials("", newEmail, adminId);
+
+      if (!duplicateCheck.success) {
+        throw new Error(duplicateCheck.error);
+      }
+
+      if (duplicateCheck.duplicates.email) {
+        throw new Error("Duplicate email: already exists");
+      }
+
+      // Only the latest link should work
+      const invalidateResult = await this.store.invalidateForAdmin(adminId);
+
+      if (!invalidateResult.success) {
+        throw new Error(invalidateResult.error);
+      }
+
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = new Date(Date.now() + EMAIL_CHANGE_TTL_MINUTES * 60 * 1000).toISOString();
+
+      const createResult = await this.store.create({
+        id: uuidv4(),
+        admin_id: adminId,
+        new_email: newEmail,
+        token_hash: hashToken(token),
+        requested_ip: context.ipAddress || null,
+        expires_at: expiresAt,
+      });
+
+      if (!createResult.success) {
+        throw new Error(createResult.error);
+      }
+
+      const mailResult = await MailService.sendEmailChangeVerification(admin, newEmail, token, expiresAt);
+
+      if (!mailResult.success) {
+        throw new Error(mailResult.error);
+      }
+
+      await AuditService.record({
+        action: "admin.email_change_requested",
+        context,
+        target: { type: "admin", id: adminId },
+        metadata: { newEmail: newEmail },
+      });
+
+      return {
+        success: true,
+        data: {
+          pendingEmail: newEmail,
+          expiresAt: expiresAt,
+        },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Apply a pending email change with the token sent to the new address
+  async confirmEmailChange(token, context = {}) {
+    try {
+      const consumeResult = await this.store.consume(hashToken(token));
+
+      if (!consumeResult.success) {
+        throw new Error(consumeResult.error);
+      }
+
+      if (!consumeResult.data) {
+        throw new Error("Invalid or expired verification token");
+      }
+
+      const { admin_id: adminId, new_email: newEmail } = consumeResult.data;
+
+      const adminResult = await AdminService.getAdminById(adminId);
+
+      if (!adminResult.success) {
+        throw new Error(adminResult.error);
+      }
+
+      // The token outlives a suspension, so check the account is still usable when it is used
+      if (adminResult.data.admin_status !== "active") {
+        throw new Error("Forbidden: only active admins can change their email");
+      }
+
+      const oldEmail = adminResult.data.email;
+
+      // updateAdmin checks again that nobody took the address in the meantime
+      const updateResult = await AdminService.updateAdmin(adminId, { email: newEmail }, { ...context, actor: adminResult.data });
+
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      const noticeResult = await MailService.sendEmailChangedNotice(updateResult.data, oldEmail, newEmail);
+
+      if (!noticeResult.success) {
+        console.error("❌ Failed to notify the old email address:", noticeResult.error);
+      }
+
+      return {
+        success: true,
+        data: updateResult.data,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Throw unless the current password is right, auditing wrong guesses
+  async assertCurrentPassword(adminId, currentPassword, purpose, context = {}) {
+    const passwordResult = await AdminService.verifyAdminPassword(adminId, currentPassword);
+
+    if (!passwordResult.success) {
+      throw new Error(passwordResult.error);
+    }
+
+    if (!passwordResult.isValid) {
+      await AuditService.record({
+        action: "auth.reauth_failed",
+        context,
+        target: { type: "admin", id: adminId },
+        metadata: { purpose: purpose },
+      });
+
+      throw new Error("Forbidden: current password is incorrect");
+    }
+  }
+}
+
+export { ProfileService };
+
+export default new ProfileService();
@@ -0,0 +1,281 @@
+import { v4 as uuidv4 } from "uuid";
+import sessionStore from "../stores/sessionStore.js";
+import { generateRefreshToken, verifyRefreshToken } from "../utils/jwt.js";
+
+class SessionService {
+  constructor(store = sessionStore) {
+    this.store = store;
+  }
+
+  // Start a new session (refresh token family) for an admin
+  // meta holds the login context: userAgent and ipAddress
+  async createSession(adminData, meta = {}) {
+    try {
+      const sessionId = uuidv4();
+      const refreshTokenResult = generateRefreshToken(adminData, sessionId);
+
+      if (!refreshTokenResult.success) {
+        throw new Error(refreshTokenResult.error);
+      }
+
+      const sessionResult = await this.store.create({
+        id: sessionId,
+        admin_id: adminData.id,
+        current_jti: refreshTokenResult.jti,
+        user_agent: meta.userAgent || null,
+        ip_address: meta.ipAddress || null,
+        expires_at: refreshTokenResult.expiresAt,
+      });
+
+      if (!sessionResult.success) {
+        throw new Error(sessionResult.error);
+      }
+
+      return {
+        success: true,
+        sessionId: sessionId,
+        refreshToken: refreshTokenResult.refreshToken,
+        expiresAt: refreshTokenResult.expiresAt,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Exchange a refresh token for a new one in the same family
+  // Presenting an already-used token revokes the whole family
+  async rotateRefreshToken(refreshToken) {
+    try {
+      const verifyResult = verifyRefreshToken(refreshToken);
+
+      if (!verifyResult.success) {
+        return {
+          success: false,
+          error: verifyResult.error,
+        };
+      }
+
+      const { id: adminId, username, sid, jti } = verifyResult.decoded;
+
+      // Tokens issued before sessions existed can't be rotated
+      if (!sid || !jti) {
+        return {
+          success: false,
+          error: "Refresh token is no longer supported, please log in again",
+        };
+      }
+
+      const sessionResult = await this.store.findById(sid);
+
+      if (!sessionResult.success) {
+        throw new Error(sessionResult.error);
+      }
+
+      const session = sessionResult.data;
+
+      if (!session || session.admin_id !== adminId) {
+        return {
+          success: false,
+          error: "Session not found",
+        };
+      }
+
+      if (session.revoked_at) {
+        return {
+          success: false,
+          error: "Session has been revoked",
+        };
+      }
+
+      if (session.current_jti !== jti) {
+        await this.handleReuse(session, jti);
+        return {
+          success: false,
+          reuseDetected: true,
+          adminId: adminId,
+          sessionId: sid,
+          error: "Refresh token has already been used",
+        };
+      }
+
+      const newTokenResult = generateRefreshToken({ id: adminId, username }, sid);
+
+      if (!newTokenResult.success) {
+        throw new Error(newTokenResult.error);
+      }
+
+      const rotateResult = await this.store.rotate(sid, jti, {
+        current_jti: newTokenResult.jti,
+        expires_at: newTokenResult.expiresAt,
+      });
+
+      if (!rotateResult.success) {
+        throw new Error(rotateResult.error);
+      }
+
+      // Another request rotated the same token first
+      if (!rotateResult.rotated) {
+        await this.handleReuse(session, jti);
+        return {
+          success: false,
+          reuseDetected: true,
+          adminId: adminId,
+          sessionId: sid,
+          error: "Refresh token has already been used",
+        };
+      }
+
+      return {
+        success: true,
+        adminId: adminId,
+        sessionId: sid,
+        refreshToken: newTokenResult.refreshToken,
+        expiresAt: newTokenResult.expiresAt,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Revoke the family of a reused refresh token
+  async handleReuse(session, jti) {
+    console.warn("🚨 Refresh token reuse detected, revoking session:", {
+      sessionId: session.id,
+      adminId: session.admin_id,
+      jti: jti,
+    });
+
+    const revokeResult = await this.store.revoke(session.id, "refresh_token_reuse");
+
+    if (!revokeResult.success) {
+      throw new Error(revokeResult.error);
+    }
+  }
+
+  // Check that a session still exists, is not revoked and has not expired
+  async isSessionActive(sessionId) {
+    try {
+      const result = await this.store.findById(sessionId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const session = result.data;
+      const isActive = Boolean(session) && !session.revoked_at && new Date(session.expires_at) > new Date();
+
+      return {
+        success: true,
+        isActive: isActive,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // List active sessions of an admin, flagging the one making the request
+  async listSessions(adminId, currentSessionId = null) {
+    try {
+      const result = await this.store.listActiveByAdmin(adminId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const sessions = result.data.map((session) => ({
+        id: session.id,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        current: session.id === currentSessionId,
+      }));
+
+      return {
+        success: true,
+        data: sessions,
+        count: sessions.length,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Revoke one session that belongs to the given admin
+  async revokeAdminSession(adminId, sessionId, reason) {
+    try {
+      const result = await this.store.findById(sessionId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.data || result.data.admin_id !== adminId || result.data.revoked_at) {
+        throw new Error("Session not found");
+      }
+
+      return await this.revokeSession(sessionId, reason);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Sign an admin out everywhere (optionally except one session)
+  async revokeAllSessions(adminId, reason, exceptSessionId = null) {
+    try {
+      const result = await this.store.revokeAllByAdmin(adminId, reason, exceptSessionId);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+        count: result.count,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Revoke a single session
+  async revokeSession(sessionId, reason) {
+    try {
+      const result = await this.store.revoke(sessionId, reason);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return {
+        success: true,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,137 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+// Apply the same filters in memory as the Supabase store does in SQL
+const matchesFilters = (entry, { actor_id, impersonator_id, target_id, target_type, action, from, to }) =>
+  (!actor_id || entry.actor_id === actor_id) &&
+  (!impersonator_id || entry.impersonator_id === impersonator_id) &&
+  (!target_id || entry.target_id === target_id) &&
+  (!target_type || entry.target_type === target_type) &&
+  (!action || entry.action === action || (action.endsWith(".*") && entry.action.startsWith(action.slice(0, -1)))) &&
+  (!from || entry.occurred_at >= from) &&
+  (!to || entry.occurred_at <= to);
+
+/**
+ * In-memory audit log store (append-only)
+ * Only suitable for a single process - entries are lost on restart
+ */
+export class MemoryAuditLogStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} entry - Audit entry row
+   * @returns {Promise<Object>} - Stored entry
+   */
+  async append(entry) {
+    const row = Object.freeze({ ...entry });
+    this.entries.push(row);
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * List entries, newest first
+   * @param {Object} filters - actor_id, impersonator_id, target_id, target_type, action ("admin.*" matches a prefix), from, to
+   * @param {Object} paging - page and limit
+   * @returns {Promise<Object>} - Entries and total count
+   */
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    const matched = this.entries
+      .filter((entry) => matchesFilters(entry, filters))
+      .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at));
+
+    return {
+      success: true,
+      data: matched.slice((page - 1) * limit, page * limit).map((entry) => ({ ...entry })),
+      total: matched.length,
+    };
+  }
+}
+
+/**
+ * Supabase-backed audit log store (append-only)
+ * Expects a table with columns: id (uuid, primary key), occurred_at (timestamptz), action (text),
+ * actor_id (uuid), actor_username (text), impersonator_id (uuid), impersonator_username (text), target_type (text),
+ * target_id (text), changes (jsonb), metadata (jsonb), ip_address (text), user_agent (text), request_id (text)
+ * The table should reject UPDATE and DELETE (e.g. with a trigger) so entries can't be rewritten
+ */
+export class SupabaseAuditLogStore {
+  constructor(client = getSupabase(), table = "admin_audit_log") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async append(entry) {
+    try {
+      const { data, error } = await this.db.insert(this.table, entry, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to write audit entry: ${error.message}`,
+      };
+    }
+  }
+
+  async list(filters = {}, { page = 1, limit = 50 } = {}) {
+    try {
+      const { actor_id, impersonator_id, target_id, target_type, action, from, to } = filters;
+
+      const { data, error, count } = await this.db.select(
+        this.table,
+        "*",
+        {
+          actor_id: actor_id || undefined,
+          impersonator_id: impersonator_id || undefined,
+          target_id: target_id || undefined,
+          target_type: target_type || undefined,
+          action: action && action.endsWith(".*") ? { like: `${action.slice(0, -1)}%` } : action || undefined,
+          occurred_at: { gte: from || undefined, lte: to || undefined },
+        },
+        {
+          order: { column: "occurred_at", ascending: false },
+          offset: (page - 1) * limit,
+          limit: limit,
+          count: "exact",
+        }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data, total: count };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create audit log store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryAuditLogStore|SupabaseAuditLogStore}
+ */
+export const createAuditLogStore = (driver = process.env.AUDIT_LOG_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("audit log");
+      return new MemoryAuditLogStore();
+    case "supabase":
+      return new SupabaseAuditLogStore();
+    default:
+      throw new Error(`Unknown audit log store: ${driver}`);
+  }
+};
+
+export default createAuditLogStore();
@@ -0,0 +1,156 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory email change request store
+ * Only suitable for a single process - requests are lost on restart
+ */
+export class MemoryEmailChangeStore {
+  constructor() {
+    this.requests = new Map();
+  }
+
+  /**
+   * Save an email change request
+   * @param {Object} request - Request row (id, admin_id, new_email, token_hash, expires_at, requested_ip)
+   * @returns {Promise<Object>} - Saved request
+   */
+  async create(request) {
+    const row = {
+      created_at: new Date().toISOString(),
+      used_at: null,
+      ...request,
+    };
+
+    this.requests.set(row.token_hash, row);
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Mark a request as used, only if it is unused and not expired (single use)
+   * @param {string} tokenHash - Hash of the token sent to the new address
+   * @returns {Promise<Object>} - Consumed request or null
+   */
+  async consume(tokenHash) {
+    const row = this.requests.get(tokenHash);
+    const now = new Date().toISOString();
+
+    if (!row || row.used_at || row.expires_at <= now) {
+      return { success: true, data: null };
+    }
+
+    row.used_at = now;
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Invalidate every unused request of an admin
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} - Invalidation result
+   */
+  async invalidateForAdmin(adminId) {
+    const now = new Date().toISOString();
+
+    for (const [hash, row] of this.requests.entries()) {
+      if (row.expires_at <= now) {
+        this.requests.delete(hash);
+      } else if (row.admin_id === adminId && !row.used_at) {
+        row.used_at = now;
+      }
+    }
+
+    return { success: true };
+  }
+}
+
+/**
+ * Supabase-backed email change request store
+ * Expects a table with columns: id (uuid, primary key), admin_id (uuid), new_email (text),
+ * token_hash (text, unique), requested_ip (text), created_at, expires_at, used_at (timestamptz)
+ */
+export class SupabaseEmailChangeStore {
+  constructor(client = getSupabase(), table = "admin_email_changes") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async create(request) {
+    try {
+      const { data, error } = await this.db.insert(this.table, { created_at: new Date().toISOString(), ...request }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create email change request: ${error.message}`,
+      };
+    }
+  }
+
+  async consume(tokenHash) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.db.update(
+        this.table,
+        { used_at: now },
+        { token_hash: tokenHash, used_at: null, expires_at: { gt: now } },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async invalidateForAdmin(adminId) {
+    try {
+      const now = new Date().toISOString();
+      const { error } = await this.db.update(this.table, { used_at: now }, { admin_id: adminId, used_at: null });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      await this.db.delete(this.table, { expires_at: { lte: now } });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create email change store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryEmailChangeStore|SupabaseEmailChangeStore}
+ */
+export const createEmailChangeStore = (driver = process.env.EMAIL_CHANGE_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("email change");
+      return new MemoryEmailChangeStore();
+    case "supabase":
+      return new SupabaseEmailChangeStore();
+    default:
+      throw new Error(`Unknown email change store: ${driver}`);
+  }
+};
+
+export default createEmailChangeStore();
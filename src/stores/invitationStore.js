@@ -0,0 +1,334 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+// Derive the state of an invitation from its timestamps
+export const invitationStatus = (row, now = new Date().toISOString()) => {
+  if (row.accepted_at) return "accepted";
+  if (row.revoked_at) return "revoked";
+  if (row.expires_at <= now) return "expired";
+  return "pending";
+};
+
+/**
+ * In-memory invitation store
+ * Only suitable for a single process - invitations are lost on restart
+ */
+export class MemoryInvitationStore {
+  constructor() {
+    this.invitations = new Map();
+  }
+
+  /**
+   * Save an invitation
+   * @param {Object} invitation - Invitation row (id, admin_id, email, admin_role, token_hash, invited_by, expires_at)
+   * @returns {Promise<Object>} - Saved invitation
+   */
+  async create(invitation) {
+    const now = new Date().toISOString();
+    const row = {
+      created_at: now,
+      last_sent_at: now,
+      send_count: 1,
+      accepted_at: null,
+      revoked_at: null,
+      ...invitation,
+    };
+
+    this.invitations.set(row.id, row);
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Find an invitation by ID
+   * @param {string} id - Invitation ID
+   * @returns {Promise<Object>} - Invitation or null
+   */
+  async findById(id) {
+    const row = this.invitations.get(id);
+    return { success: true, data: row ? { ...row } : null };
+  }
+
+  /**
+   * Find a pending invitation by token, without using it up
+   * @param {string} tokenHash - Hash of the token sent to the invitee
+   * @returns {Promise<Object>} - Invitation or null
+   */
+  async findValid(tokenHash) {
+    const row = [...this.invitations.values()].find((invitation) => invitation.token_hash === tokenHash);
+
+    if (!row || invitationStatus(row) !== "pending") {
+      return { success: true, data: null };
+    }
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Mark a pending invitation as accepted (single use)
+   * @param {string} tokenHash - Hash of the token sent to the invitee
+   * @returns {Promise<Object>} - Accepted invitation or null
+   */
+  async accept(tokenHash) {
+    const row = [...this.invitations.values()].find((invitation) => invitation.token_hash === tokenHash);
+
+    if (!row || invitationStatus(row) !== "pending") {
+      return { success: true, data: null };
+    }
+
+    row.accepted_at = new Date().toISOString();
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Replace the token of a pending invitation (e.g. when resending it)
+   * @param {string} id - Invitation ID
+   * @param {Object} changes - token_hash, expires_at
+   * @returns {Promise<Object>} - Updated invitation or null if it is no longer pending
+   */
+  async renew(id, changes) {
+    const row = this.invitations.get(id);
+
+    if (!row || row.accepted_at || row.revoked_at) {
+      return { success: true, data: null };
+    }
+
+    Object.assign(row, changes, { last_sent_at: new Date().toISOString(), send_count: row.send_count + 1 });
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Revoke an invitation that hasn't been accepted
+   * @param {string} id - Invitation ID
+   * @returns {Promise<Object>} - Revoked invitation or null
+   */
+  async revoke(id) {
+    const row = this.invitations.get(id);
+
+    if (!row || row.accepted_at || row.revoked_at) {
+      return { success: true, data: null };
+    }
+
+    row.revoked_at = new Date().toISOString();
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * List invitations, newest first
+   * @param {Object} filters - status (pending, accepted, expired or revoked)
+   * @param {Object} paging - page and limit
+   * @returns {Promise<Object>} - Invitations and total count
+   */
+  async list({ status } = {}, { page = 1, limit = 50 } = {}) {
+    const matched = [...this.invitations.values()]
+      .filter((row) => !status || invitationStatus(row) === status)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    return {
+      success: true,
+      data: matched.slice((page - 1) * limit, page * limit).map((row) => ({ ...row })),
+      total: matched.length,
+    };
+  }
+}
+
+/**
+ * Supabase-backed invitation store
+ * Expects a table with columns: id (uuid, primary key), admin_id (uuid), email (text), admin_role (text),
+ * token_hash (text, unique), invited_by (uuid), send_count (integer), created_at, last_sent_at, expires_at,
+ * accepted_at, revoked_at (timestamptz)
+ */
+export class SupabaseInvitationStore {
+  constructor(client = getSupabase(), table = "admin_invitations") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async create(invitation) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.db.insert(
+        this.table,
+        { created_at: now, last_sent_at: now, send_count: 1, ...invitation },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create invitation: ${error.message}`,
+      };
+    }
+  }
+
+  async findById(id) {
+    try {
+      const { data, error } = await this.db.select(this.table, "*", { id: id }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  // Only pending invitations: not accepted, not revoked, not expired
+  pendingFilters() {
+    return { accepted_at: null, revoked_at: null, expires_at: { gt: new Date() } };
+  }
+
+  async findValid(tokenHash) {
+    try {
+      const { data, error } = await this.db.select(this.table, "*", { token_hash: tokenHash, ...this.pendingFilters() }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async accept(tokenHash) {
+    try {
+      const { data, error } = await this.db.update(
+        this.table,
+        { accepted_at: new Date().toISOString() },
+        { token_hash: tokenHash, ...this.pendingFilters() },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async renew(id, changes) {
+    try {
+      const current = await this.findById(id);
+
+      if (!current.success) {
+        throw new Error(current.error);
+      }
+
+      if (!current.data) {
+        return { success: true, data: null };
+      }
+
+      // send_count guards against a concurrent resend
+      const { data, error } = await this.db.update(
+        this.table,
+        { ...changes, last_sent_at: new Date().toISOString(), send_count: current.data.send_count + 1 },
+        { id: id, send_count: current.data.send_count, accepted_at: null, revoked_at: null },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async revoke(id) {
+    try {
+      const { data, error } = await this.db.update(
+        this.table,
+        { revoked_at: new Date().toISOString() },
+        { id: id, accepted_at: null, revoked_at: null },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async list({ status } = {}, { page = 1, limit = 50 } = {}) {
+    try {
+      const statusFilters = {
+        pending: this.pendingFilters(),
+        accepted: { accepted_at: { isNot: null } },
+        revoked: { accepted_at: null, revoked_at: { isNot: null } },
+        expired: { accepted_at: null, revoked_at: null, expires_at: { lte: new Date() } },
+      };
+
+      const { data, error, count } = await this.db.select(this.table, "*", statusFilters[status] || {}, {
+        count: "exact",
+        order: { column: "created_at", ascending: false },
+        offset: (page - 1) * limit,
+        limit: limit,
+      });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data, total: count };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create invitation store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryInvitationStore|SupabaseInvitationStore}
+ */
+export const createInvitationStore = (driver = process.env.INVITATION_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("invitation");
+      return new MemoryInvitationStore();
+    case "supabase":
+      return new SupabaseInvitationStore();
+    default:
+      throw new Error(`Unknown invitation store: ${driver}`);
+  }
+};
+
+export default createInvitationStore();
@@ -0,0 +1,184 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory login attempt store
+ * Only suitable for a single process - use the Supabase store to share counters between processes
+ */
+export class MemoryLoginAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get failure counter for a key ("ip:..." or "account:...")
+   * @param {string} key - Counter key
+   * @returns {Promise<Object>} - Counter row or null
+   */
+  async get(key) {
+    const row = this.entries.get(key);
+    return { success: true, data: row ? { ...row } : null };
+  }
+
+  /**
+   * Save a counter, only if its failure count is still the expected one
+   * @param {string} key - Counter key
+   * @param {Object} row - failures, first_failure_at, last_failure_at, locked_until
+   * @param {number|null} expectedFailures - Failure count read before the change (null if there was no row)
+   * @returns {Promise<Object>} - Whether the row was saved
+   */
+  async save(key, row, expectedFailures) {
+    const current = this.entries.get(key);
+    const currentFailures = current ? current.failures : null;
+
+    if (currentFailures !== expectedFailures) {
+      return { success: true, saved: false };
+    }
+
+    this.entries.set(key, { key, ...row });
+
+    return { success: true, saved: true };
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+    return { success: true };
+  }
+
+  /**
+   * Remove counters that haven't changed since the given time and aren't locked
+   * @param {string} before - ISO timestamp
+   */
+  async purgeStale(before) {
+    const now = new Date().toISOString();
+
+    for (const [key, row] of this.entries.entries()) {
+      if (row.last_failure_at < before && (!row.locked_until || row.locked_until < now)) {
+        this.entries.delete(key);
+      }
+    }
+
+    return { success: true };
+  }
+}
+
+/**
+ * Supabase-backed login attempt store, shared by every process
+ * Expects a table with columns: key (text, primary key), failures (integer),
+ * first_failure_at, last_failure_at, locked_until (timestamptz)
+ */
+export class SupabaseLoginAttemptStore {
+  constructor(client = getSupabase(), table = "login_attempts") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async get(key) {
+    try {
+      const { data, error } = await this.db.select(this.table, "*", { key: key }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async save(key, row, expectedFailures) {
+    try {
+      if (expectedFailures === null) {
+        const { error } = await this.db.insert(this.table, { key, ...row });
+
+        // Another process created the row first
+        if (error && error.code === "23505") {
+          return { success: true, saved: false };
+        }
+
+        if (error) {
+          throw new Error(`Database error: ${error.message}`);
+        }
+
+        return { success: true, saved: true };
+      }
+
+      const { data, error } = await this.db.update(
+        this.table,
+        row,
+        { key: key, failures: expectedFailures },
+        { columns: "key", single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, saved: Boolean(data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async delete(key) {
+    try {
+      const { error } = await this.db.delete(this.table, { key: key });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async purgeStale(before) {
+    try {
+      const { error } = await this.db.delete(this.table, {
+        last_failure_at: { lt: before },
+        or: [{ locked_until: null }, { locked_until: { lt: new Date().toISOString() } }],
+      });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create login attempt store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryLoginAttemptStore|SupabaseLoginAttemptStore}
+ */
+export const createLoginAttemptStore = (driver = process.env.LOGIN_ATTEMPT_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("login attempt");
+      return new MemoryLoginAttemptStore();
+    case "supabase":
+      return new SupabaseLoginAttemptStore();
+    default:
+      throw new Error(`Unknown login attempt store: ${driver}`);
+  }
+};
+
+export default createLoginAttemptStore();
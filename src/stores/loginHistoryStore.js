@@ -0,0 +1,116 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory login history store
+ * Only suitable for a single process - history is lost on restart
+ */
+export class MemoryLoginHistoryStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Append a login attempt
+   * @param {Object} entry - Attempt row (id, admin_id, username, outcome, reason, ip_address, user_agent, occurred_at)
+   * @returns {Promise<Object>} - Stored attempt
+   */
+  async append(entry) {
+    this.entries.push({ ...entry });
+
+    return { success: true, data: { ...entry } };
+  }
+
+  /**
+   * List login attempts of an admin, newest first
+   * @param {string} adminId - Admin ID
+   * @param {Object} filters - outcome
+   * @param {Object} paging - page and limit
+   * @returns {Promise<Object>} - Attempts and total count
+   */
+  async listByAdmin(adminId, { outcome } = {}, { page = 1, limit = 50 } = {}) {
+    const matched = this.entries
+      .filter((entry) => entry.admin_id === adminId && (!outcome || entry.outcome === outcome))
+      .sort((a, b) => b.occurred_at.localeCompare(a.occurred_at));
+
+    return {
+      success: true,
+      data: matched.slice((page - 1) * limit, page * limit).map((entry) => ({ ...entry })),
+      total: matched.length,
+    };
+  }
+}
+
+/**
+ * Supabase-backed login history store
+ * Expects a table with columns: id (uuid, primary key), admin_id (uuid, null for unknown usernames),
+ * username (text), outcome (text), reason (text), ip_address (text), user_agent (text), occurred_at (timestamptz)
+ */
+export class SupabaseLoginHistoryStore {
+  constructor(client = getSupabase(), table = "admin_login_history") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async append(entry) {
+    try {
+      const { data, error } = await this.db.insert(this.table, entry, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to record login attempt: ${error.message}`,
+      };
+    }
+  }
+
+  async listByAdmin(adminId, { outcome } = {}, { page = 1, limit = 50 } = {}) {
+    try {
+      const { data, error, count } = await this.db.select(
+        this.table,
+        "*",
+        { admin_id: adminId, outcome: outcome || undefined },
+        {
+          order: { column: "occurred_at", ascending: false },
+          offset: (page - 1) * limit,
+          limit: limit,
+          count: "exact",
+        }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data, total: count };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create login history store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryLoginHistoryStore|SupabaseLoginHistoryStore}
+ */
+export const createLoginHistoryStore = (driver = process.env.LOGIN_HISTORY_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("login history");
+      return new MemoryLoginHistoryStore();
+    case "supabase":
+      return new SupabaseLoginHistoryStore();
+    default:
+      throw new Error(`Unknown login history store: ${driver}`);
+  }
+};
+
+export default createLoginHistoryStore();
@@ -0,0 +1,300 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory MFA store
+ * Only suitable for a single process - enrollments are lost on restart
+ */
+export class MemoryMfaStore {
+  constructor() {
+    this.factors = new Map();
+    this.rolePolicies = new Map();
+  }
+
+  /**
+   * Get the TOTP factor of an admin
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} - Factor row or null when not enrolled
+   */
+  async getFactor(adminId) {
+    const row = this.factors.get(adminId);
+    return { success: true, data: row ? { ...row, recovery_codes: [...row.recovery_codes] } : null };
+  }
+
+  /**
+   * Create or update the TOTP factor of an admin
+   * @param {string} adminId - Admin ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object>} - Saved factor row
+   */
+  async saveFactor(adminId, changes) {
+    const row = {
+      admin_id: adminId,
+      secret: null,
+      enabled: false,
+      recovery_codes: [],
+      last_used_step: null,
+      confirmed_at: null,
+      ...this.factors.get(adminId),
+      ...changes,
+      updated_at: new Date().toISOString(),
+    };
+
+    this.factors.set(adminId, row);
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Record a used time step, only if it is newer than the last one (prevents code replay)
+   * @param {string} adminId - Admin ID
+   * @param {number} timeStep - Time step of the accepted code
+   * @returns {Promise<Object>} - Whether the step was recorded
+   */
+  async markStepUsed(adminId, timeStep) {
+    const row = this.factors.get(adminId);
+
+    if (!row || (row.last_used_step !== null && row.last_used_step >= timeStep)) {
+      return { success: true, recorded: false };
+    }
+
+    row.last_used_step = timeStep;
+
+    return { success: true, recorded: true };
+  }
+
+  /**
+   * Remove a recovery code hash, only if it is still present (single use)
+   * @param {string} adminId - Admin ID
+   * @param {string} codeHash - Hash of the recovery code
+   * @returns {Promise<Object>} - Whether the code was consumed
+   */
+  async consumeRecoveryCode(adminId, codeHash) {
+    const row = this.factors.get(adminId);
+
+    if (!row || !row.recovery_codes.includes(codeHash)) {
+      return { success: true, consumed: false };
+    }
+
+    row.recovery_codes = row.recovery_codes.filter((hash) => hash !== codeHash);
+
+    return { success: true, consumed: true, remaining: row.recovery_codes.length };
+  }
+
+  async deleteFactor(adminId) {
+    this.factors.delete(adminId);
+    return { success: true };
+  }
+
+  /**
+   * List roles and whether they must use two-factor authentication
+   * @returns {Promise<Object>} - Role policy rows
+   */
+  async getRolePolicies() {
+    return { success: true, data: [...this.rolePolicies.values()].map((row) => ({ ...row })) };
+  }
+
+  async setRolePolicy(role, mfaRequired, updatedBy = null) {
+    const row = {
+      admin_role: role,
+      mfa_required: mfaRequired,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString(),
+    };
+
+    this.rolePolicies.set(role, row);
+
+    return { success: true, data: { ...row } };
+  }
+}
+
+/**
+ * Supabase-backed MFA store
+ * Expects tables:
+ * - admin_mfa: admin_id (uuid, primary key), secret (text), enabled (boolean), recovery_codes (jsonb),
+ *   last_used_step (bigint), confirmed_at, updated_at (timestamptz)
+ * - mfa_role_policies: admin_role (text, primary key), mfa_required (boolean), updated_by (uuid), updated_at (timestamptz)
+ */
+export class SupabaseMfaStore {
+  constructor(client = getSupabase(), factorTable = "admin_mfa", policyTable = "mfa_role_policies") {
+    this.db = createDbHelpers(() => client);
+    this.factorTable = factorTable;
+    this.policyTable = policyTable;
+  }
+
+  async getFactor(adminId) {
+    try {
+      const { data, error } = await this.db.select(this.factorTable, "*", { admin_id: adminId }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async saveFactor(adminId, changes) {
+    try {
+      const { data, error } = await this.db.upsert(
+        this.factorTable,
+        { admin_id: adminId, ...changes, updated_at: new Date().toISOString() },
+        { onConflict: "admin_id", single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to save MFA factor: ${error.message}`,
+      };
+    }
+  }
+
+  async markStepUsed(adminId, timeStep) {
+    try {
+      // Conditional update so the same code can't be accepted twice
+      const { data, error } = await this.db.update(
+        this.factorTable,
+        { last_used_step: timeStep },
+        { admin_id: adminId, or: [{ last_used_step: null }, { last_used_step: { lt: timeStep } }] },
+        { columns: "admin_id", single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, recorded: Boolean(data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async consumeRecoveryCode(adminId, codeHash) {
+    try {
+      const factorResult = await this.getFactor(adminId);
+
+      if (!factorResult.success) {
+        throw new Error(factorResult.error);
+      }
+
+      const factor = factorResult.data;
+
+      if (!factor || !factor.recovery_codes.includes(codeHash)) {
+        return { success: true, consumed: false };
+      }
+
+      const remaining = factor.recovery_codes.filter((hash) => hash !== codeHash);
+
+      // Only succeeds if nobody consumed a code since we read the row
+      const { data, error } = await this.db.update(
+        this.factorTable,
+        { recovery_codes: remaining },
+        { admin_id: adminId, recovery_codes: JSON.stringify(factor.recovery_codes) },
+        { columns: "admin_id", single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, consumed: Boolean(data), remaining: remaining.length };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async deleteFactor(adminId) {
+    try {
+      const { error } = await this.db.delete(this.factorTable, { admin_id: adminId });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async getRolePolicies() {
+    try {
+      const { data, error } = await this.db.select(this.policyTable, "*");
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async setRolePolicy(role, mfaRequired, updatedBy = null) {
+    try {
+      const { data, error } = await this.db.upsert(
+        this.policyTable,
+        {
+          admin_role: role,
+          mfa_required: mfaRequired,
+          updated_by: updatedBy,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "admin_role", single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to update MFA role policy: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * Create MFA store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryMfaStore|SupabaseMfaStore}
+ */
+export const createMfaStore = (driver = process.env.MFA_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("MFA");
+      return new MemoryMfaStore();
+    case "supabase":
+      return new SupabaseMfaStore();
+    default:
+      throw new Error(`Unknown MFA store: ${driver}`);
+  }
+};
+
+export default createMfaStore();
@@ -0,0 +1,153 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory password history store
+ * Only suitable for a single process - history is lost on restart
+ */
+export class MemoryPasswordHistoryStore {
+  constructor() {
+    this.history = new Map();
+  }
+
+  /**
+   * Remember a password hash of an admin
+   * @param {string} adminId - Admin ID
+   * @param {string} passwordHash - bcrypt hash
+   * @returns {Promise<Object>} - Save result
+   */
+  async add(adminId, passwordHash) {
+    const entries = this.history.get(adminId) || [];
+    entries.unshift({ admin_id: adminId, password_hash: passwordHash, created_at: new Date().toISOString() });
+    this.history.set(adminId, entries);
+
+    return { success: true };
+  }
+
+  /**
+   * Get the most recent password hashes of an admin, newest first
+   * @param {string} adminId - Admin ID
+   * @param {number} limit - How many to return
+   * @returns {Promise<Object>} - Hashes
+   */
+  async listRecent(adminId, limit) {
+    const entries = this.history.get(adminId) || [];
+    return { success: true, data: entries.slice(0, limit).map((entry) => entry.password_hash) };
+  }
+
+  /**
+   * Drop everything but the most recent hashes
+   * @param {string} adminId - Admin ID
+   * @param {number} keep - How many to keep
+   * @returns {Promise<Object>} - Prune result
+   */
+  async prune(adminId, keep) {
+    const entries = this.history.get(adminId) || [];
+    this.history.set(adminId, entries.slice(0, keep));
+
+    return { success: true };
+  }
+}
+
+/**
+ * Supabase-backed password history store
+ * Expects a table with columns: id (bigint identity), admin_id (uuid), password_hash (text), created_at (timestamptz)
+ */
+export class SupabasePasswordHistoryStore {
+  constructor(client = getSupabase(), table = "admin_password_history") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async add(adminId, passwordHash) {
+    try {
+      const { error } = await this.db.insert(this.table, {
+        admin_id: adminId,
+        password_hash: passwordHash,
+        created_at: new Date().toISOString(),
+      });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async listRecent(adminId, limit) {
+    try {
+      const { data, error } = await this.db.select(
+        this.table,
+        "password_hash",
+        { admin_id: adminId },
+        { order: { column: "created_at", ascending: false }, limit: limit }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data.map((row) => row.password_hash) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async prune(adminId, keep) {
+    try {
+      const { data, error } = await this.db.select(
+        this.table,
+        "id",
+        { admin_id: adminId },
+        { order: { column: "created_at", ascending: false }, offset: keep, limit: 1000 }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      if (data.length > 0) {
+        const ids = data.map((row) => row.id);
+        const { error: deleteError } = await this.db.delete(this.table, { id: { in: ids } });
+
+        if (deleteError) {
+          throw new Error(`Database error: ${deleteError.message}`);
+        }
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create password history store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryPasswordHistoryStore|SupabasePasswordHistoryStore}
+ */
+export const createPasswordHistoryStore = (driver = process.env.PASSWORD_HISTORY_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("password history");
+      return new MemoryPasswordHistoryStore();
+    case "supabase":
+      return new SupabasePasswordHistoryStore();
+    default:
+      throw new Error(`Unknown password history store: ${driver}`);
+  }
+};
+
+export default createPasswordHistoryStore();
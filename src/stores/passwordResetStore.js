@@ -0,0 +1,193 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory password reset token store
+ * Only suitable for a single process - tokens are lost on restart
+ */
+export class MemoryPasswordResetStore {
+  constructor() {
+    this.tokens = new Map();
+  }
+
+  /**
+   * Save a reset token
+   * @param {Object} token - Token row (id, admin_id, token_hash, expires_at, requested_ip)
+   * @returns {Promise<Object>} - Saved token
+   */
+  async create(token) {
+    const row = {
+      created_at: new Date().toISOString(),
+      used_at: null,
+      ...token,
+    };
+
+    this.tokens.set(row.token_hash, row);
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Find a token that is unused and not expired, without using it up
+   * @param {string} tokenHash - Hash of the token sent to the admin
+   * @returns {Promise<Object>} - Token or null
+   */
+  async findValid(tokenHash) {
+    const row = this.tokens.get(tokenHash);
+
+    if (!row || row.used_at || row.expires_at <= new Date().toISOString()) {
+      return { success: true, data: null };
+    }
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Mark a token as used, only if it is unused and not expired (single use)
+   * @param {string} tokenHash - Hash of the token sent to the admin
+   * @returns {Promise<Object>} - Consumed token or null
+   */
+  async consume(tokenHash) {
+    const row = this.tokens.get(tokenHash);
+    const now = new Date().toISOString();
+
+    if (!row || row.used_at || row.expires_at <= now) {
+      return { success: true, data: null };
+    }
+
+    row.used_at = now;
+
+    return { success: true, data: { ...row } };
+  }
+
+  /**
+   * Invalidate every unused token of an admin
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} - Invalidation result
+   */
+  async invalidateForAdmin(adminId) {
+    const now = new Date().toISOString();
+
+    for (const [hash, row] of this.tokens.entries()) {
+      if (row.expires_at <= now) {
+        this.tokens.delete(hash);
+      } else if (row.admin_id === adminId && !row.used_at) {
+        row.used_at = now;
+      }
+    }
+
+    return { success: true };
+  }
+}
+
+/**
+ * Supabase-backed password reset token store
+ * Expects a table with columns: id (uuid, primary key), admin_id (uuid), token_hash (text, unique),
+ * requested_ip (text), created_at, expires_at, used_at (timestamptz)
+ */
+export class SupabasePasswordResetStore {
+  constructor(client = getSupabase(), table = "password_reset_tokens") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async create(token) {
+    try {
+      const { data, error } = await this.db.insert(this.table, { created_at: new Date().toISOString(), ...token }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create reset token: ${error.message}`,
+      };
+    }
+  }
+
+  async findValid(tokenHash) {
+    try {
+      const { data, error } = await this.db.select(
+        this.table,
+        "*",
+        { token_hash: tokenHash, used_at: null, expires_at: { gt: new Date().toISOString() } },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async consume(tokenHash) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.db.update(
+        this.table,
+        { used_at: now },
+        { token_hash: tokenHash, used_at: null, expires_at: { gt: now } },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async invalidateForAdmin(adminId) {
+    try {
+      const now = new Date().toISOString();
+      const { error } = await this.db.update(this.table, { used_at: now }, { admin_id: adminId, used_at: null });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      await this.db.delete(this.table, { expires_at: { lte: now } });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Create password reset store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryPasswordResetStore|SupabasePasswordResetStore}
+ */
+export const createPasswordResetStore = (driver = process.env.PASSWORD_RESET_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("password reset");
+      return new MemoryPasswordResetStore();
+    case "supabase":
+      return new SupabasePasswordResetStore();
+    default:
+      throw new Error(`Unknown password reset store: ${driver}`);
+  }
+};
+
+export default createPasswordResetStore();
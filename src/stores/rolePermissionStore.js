@@ -0,0 +1,122 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+import { DEFAULT_ROLE_PERMISSIONS } from "../config/permissions.js";
+
+// Turn { role: [permission] } into rows
+const toRows = (mapping) =>
+  Object.entries(mapping).flatMap(([role, permissions]) => permissions.map((permission) => ({ admin_role: role, permission })));
+
+/**
+ * In-memory role permission store, seeded with the default mapping
+ */
+export class MemoryRolePermissionStore {
+  constructor(mapping = DEFAULT_ROLE_PERMISSIONS) {
+    this.rows = toRows(mapping);
+  }
+
+  /**
+   * Get every role/permission pair
+   * @returns {Promise<Object>} - Rows of { admin_role, permission }
+   */
+  async listAll() {
+    return { success: true, data: this.rows.map((row) => ({ ...row })) };
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - Admin role
+   * @param {Array} permissions - New permissions
+   * @returns {Promise<Object>} - Save result
+   */
+  async setRolePermissions(role, permissions) {
+    this.rows = [...this.rows.filter((row) => row.admin_role !== role), ...toRows({ [role]: permissions })];
+    return { success: true };
+  }
+}
+
+/**
+ * Supabase-backed role permission store
+ * Expects a table with columns: admin_role (text), permission (text), primary key (admin_role, permission)
+ * Falls back to the default mapping while the table is empty
+ */
+export class SupabaseRolePermissionStore {
+  constructor(client = getSupabase(), table = "role_permissions") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async listAll() {
+    try {
+      const { data, error } = await this.db.select(this.table, ["admin_role", "permission"]);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data.length > 0 ? data : toRows(DEFAULT_ROLE_PERMISSIONS) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async setRolePermissions(role, permissions) {
+    try {
+      // Materialize the defaults first so editing one role doesn't wipe out the others
+      const { count, error: countError } = await this.db.select(this.table, "permission", {}, { count: "exact", head: true });
+
+      if (countError) {
+        throw new Error(`Database error: ${countError.message}`);
+      }
+
+      if (count === 0) {
+        const { error: seedError } = await this.db.insert(this.table, toRows(DEFAULT_ROLE_PERMISSIONS));
+
+        if (seedError) {
+          throw new Error(`Database error: ${seedError.message}`);
+        }
+      }
+
+      const { error: deleteError } = await this.db.delete(this.table, { admin_role: role });
+
+      if (deleteError) {
+        throw new Error(`Database error: ${deleteError.message}`);
+      }
+
+      if (permissions.length > 0) {
+        const { error: insertError } = await this.db.insert(this.table, toRows({ [role]: permissions }));
+
+        if (insertError) {
+          throw new Error(`Database error: ${insertError.message}`);
+        }
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to update role permissions: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * Create role permission store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryRolePermissionStore|SupabaseRolePermissionStore}
+ */
+export const createRolePermissionStore = (driver = process.env.ROLE_PERMISSION_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("role permission");
+      return new MemoryRolePermissionStore();
+    case "supabase":
+      return new SupabaseRolePermissionStore();
+    default:
+      throw new Error(`Unknown role permission store: ${driver}`);
+  }
+};
+
+export default createRolePermissionStore();
@@ -0,0 +1,276 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory session store
+ * Only suitable for a single process - sessions are lost on restart
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Create a new session (refresh token family)
+   * @param {Object} session - Session row (id, admin_id, current_jti, expires_at)
+   * @returns {Promise<Object>} - Created session
+   */
+  async create(session) {
+    try {
+      const now = new Date().toISOString();
+      const row = {
+        created_at: now,
+        last_used_at: now,
+        revoked_at: null,
+        revoked_reason: null,
+        ...session,
+      };
+
+      this.sessions.set(row.id, row);
+
+      return { success: true, data: { ...row } };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create session: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Find session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} - Session or null when missing
+   */
+  async findById(id) {
+    const row = this.sessions.get(id);
+    return { success: true, data: row ? { ...row } : null };
+  }
+
+  /**
+   * Swap the current refresh token of a session, only if it is still the expected one
+   * @param {string} id - Session ID
+   * @param {string} expectedJti - Refresh token ID presented by the client
+   * @param {Object} changes - New current_jti, expires_at and anything else to update
+   * @returns {Promise<Object>} - Rotation result
+   */
+  async rotate(id, expectedJti, changes) {
+    const row = this.sessions.get(id);
+
+    if (!row || row.revoked_at || row.current_jti !== expectedJti) {
+      return { success: true, rotated: false };
+    }
+
+    Object.assign(row, changes, { last_used_at: new Date().toISOString() });
+
+    return { success: true, rotated: true, data: { ...row } };
+  }
+
+  /**
+   * Revoke a session so none of its refresh tokens can be used again
+   * @param {string} id - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} - Revocation result
+   */
+  async revoke(id, reason) {
+    const row = this.sessions.get(id);
+
+    if (row && !row.revoked_at) {
+      row.revoked_at = new Date().toISOString();
+      row.revoked_reason = reason;
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * List active (not revoked, not expired) sessions of an admin, most recently used first
+   * @param {string} adminId - Admin ID
+   * @returns {Promise<Object>} - Sessions
+   */
+  async listActiveByAdmin(adminId) {
+    const now = new Date().toISOString();
+    const rows = [...this.sessions.values()]
+      .filter((row) => row.admin_id === adminId && !row.revoked_at && row.expires_at > now)
+      .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at))
+      .map((row) => ({ ...row }));
+
+    return { success: true, data: rows };
+  }
+
+  /**
+   * Revoke every active session of an admin
+   * @param {string} adminId - Admin ID
+   * @param {string} reason - Revocation reason
+   * @param {string|null} exceptSessionId - Session to keep (e.g. the one making the request)
+   * @returns {Promise<Object>} - Number of revoked sessions
+   */
+  async revokeAllByAdmin(adminId, reason, exceptSessionId = null) {
+    const now = new Date().toISOString();
+    let count = 0;
+
+    for (const row of this.sessions.values()) {
+      if (row.admin_id === adminId && !row.revoked_at && row.id !== exceptSessionId) {
+        row.revoked_at = now;
+        row.revoked_reason = reason;
+        count++;
+      }
+    }
+
+    return { success: true, count: count };
+  }
+}
+
+/**
+ * Supabase-backed session store
+ * Expects a table with columns: id (uuid, primary key), admin_id (uuid), current_jti (text),
+ * user_agent (text), ip_address (text), created_at, last_used_at, expires_at, revoked_at (timestamptz)
+ * and revoked_reason (text)
+ */
+export class SupabaseSessionStore {
+  constructor(client = getSupabase(), table = "admin_sessions") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async create(session) {
+    try {
+      const now = new Date().toISOString();
+      const { data, error } = await this.db.insert(this.table, { created_at: now, last_used_at: now, ...session }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to create session: ${error.message}`,
+      };
+    }
+  }
+
+  async findById(id) {
+    try {
+      const { data, error } = await this.db.select(this.table, "*", { id: id }, { single: true });
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async rotate(id, expectedJti, changes) {
+    try {
+      // Conditional update so two concurrent refreshes can't both win
+      const { data, error } = await this.db.update(
+        this.table,
+        { ...changes, last_used_at: new Date().toISOString() },
+        { id: id, current_jti: expectedJti, revoked_at: null },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, rotated: Boolean(data), data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to rotate session: ${error.message}`,
+      };
+    }
+  }
+
+  async revoke(id, reason) {
+    try {
+      const { error } = await this.db.update(
+        this.table,
+        { revoked_at: new Date().toISOString(), revoked_reason: reason },
+        { id: id, revoked_at: null }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to revoke session: ${error.message}`,
+      };
+    }
+  }
+
+  async listActiveByAdmin(adminId) {
+    try {
+      const { data, error } = await this.db.select(
+        this.table,
+        "*",
+        { admin_id: adminId, revoked_at: null, expires_at: { gt: new Date().toISOString() } },
+        { order: { column: "last_used_at", ascending: false } }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, data: data };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async revokeAllByAdmin(adminId, reason, exceptSessionId = null) {
+    try {
+      const { data, error } = await this.db.update(
+        this.table,
+        { revoked_at: new Date().toISOString(), revoked_reason: reason },
+        { admin_id: adminId, revoked_at: null, id: { neq: exceptSessionId || undefined } },
+        { columns: "id" }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, count: data.length };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to revoke sessions: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * Create session store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemorySessionStore|SupabaseSessionStore}
+ */
+export const createSessionStore = (driver = process.env.SESSION_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("session");
+      return new MemorySessionStore();
+    case "supabase":
+      return new SupabaseSessionStore();
+    default:
+      throw new Error(`Unknown session store: ${driver}`);
+  }
+};
+
+export default createSessionStore();
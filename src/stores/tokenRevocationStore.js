@@ -0,0 +1,160 @@
+import { getSupabase, createDbHelpers, DB_DRIVER, warnMemoryStore } from "../config/database.js";
+
+/**
+ * In-memory token revocation store
+ * Only suitable for a single process - revocations are lost on restart
+ */
+export class MemoryTokenRevocationStore {
+  constructor() {
+    this.revoked = new Map();
+  }
+
+  /**
+   * Revoke a token until its natural expiration
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - When the token would have expired
+   * @param {Object} meta - Extra info about the revocation (adminId, reason)
+   * @returns {Promise<Object>} - Revocation result
+   */
+  async revoke(jti, expiresAt, meta = {}) {
+    try {
+      this.purgeExpired();
+      this.revoked.set(jti, {
+        expiresAt: new Date(expiresAt).getTime(),
+        adminId: meta.adminId || null,
+        reason: meta.reason || null,
+      });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Token revocation failed: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Check whether a token has been revoked
+   * @param {string} jti - Token ID
+   * @returns {Promise<Object>} - Check result
+   */
+  async isRevoked(jti) {
+    try {
+      const entry = this.revoked.get(jti);
+
+      if (entry && entry.expiresAt <= Date.now()) {
+        this.revoked.delete(jti);
+        return { success: true, isRevoked: false };
+      }
+
+      return { success: true, isRevoked: Boolean(entry) };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Token revocation check failed: ${error.message}`,
+      };
+    }
+  }
+
+  // Remove entries whose tokens have expired anyway
+  purgeExpired() {
+    const now = Date.now();
+
+    for (const [jti, entry] of this.revoked.entries()) {
+      if (entry.expiresAt <= now) {
+        this.revoked.delete(jti);
+      }
+    }
+  }
+}
+
+/**
+ * Supabase-backed token revocation store
+ * Expects a table with columns: jti (text, primary key), admin_id (uuid),
+ * reason (text), revoked_at (timestamptz), expires_at (timestamptz)
+ */
+export class SupabaseTokenRevocationStore {
+  constructor(client = getSupabase(), table = "revoked_tokens") {
+    this.db = createDbHelpers(() => client);
+    this.table = table;
+  }
+
+  async revoke(jti, expiresAt, meta = {}) {
+    try {
+      await this.purgeExpired();
+
+      const { error } = await this.db.upsert(
+        this.table,
+        {
+          jti,
+          admin_id: meta.adminId || null,
+          reason: meta.reason || null,
+          revoked_at: new Date().toISOString(),
+          expires_at: new Date(expiresAt).toISOString(),
+        },
+        { onConflict: "jti" }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Token revocation failed: ${error.message}`,
+      };
+    }
+  }
+
+  async isRevoked(jti) {
+    try {
+      const { data, error } = await this.db.select(
+        this.table,
+        "jti",
+        { jti: jti, expires_at: { gt: new Date().toISOString() } },
+        { single: true }
+      );
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return { success: true, isRevoked: Boolean(data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Token revocation check failed: ${error.message}`,
+      };
+    }
+  }
+
+  async purgeExpired() {
+    const { error } = await this.db.delete(this.table, { expires_at: { lte: new Date().toISOString() } });
+
+    if (error) {
+      console.error("❌ Failed to purge expired revoked tokens:", error.message);
+    }
+  }
+}
+
+/**
+ * Create token revocation store for the configured driver
+ * @param {string} driver - "memory" or "supabase"
+ * @returns {MemoryTokenRevocationStore|SupabaseTokenRevocationStore}
+ */
+export const createTokenRevocationStore = (driver = process.env.TOKEN_REVOCATION_STORE || DB_DRIVER) => {
+  switch (driver) {
+    case "memory":
+      warnMemoryStore("token revocation");
+      return new MemoryTokenRevocationStore();
+    case "supabase":
+      return new SupabaseTokenRevocationStore();
+    default:
+      throw new Error(`Unknown token revocation store: ${driver}`);
+  }
+};
+
+export default createTokenRevocationStore();
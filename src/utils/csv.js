@@ -0,0 +1,114 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records as arrays of fields, blank lines skipped
+ */
+export const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRecord = () => {
+    record.push(field);
+
+    if (record.length > 1 || record[0] !== "") {
+      records.push(record);
+    }
+
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: unterminated quoted field");
+  }
+
+  if (field !== "" || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text, first record is the header
+ * @returns {Array<Object>} - One object per data record, keyed by header (empty fields are left out)
+ */
+export const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRecords(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map((column) => column.trim());
+
+  return records.map((record) => {
+    if (record.length > columns.length) {
+      throw new Error(`Invalid CSV: record has ${record.length} fields, header has ${columns.length}`);
+    }
+
+    const row = {};
+    columns.forEach((column, index) => {
+      if (record[index] !== undefined && record[index] !== "") {
+        row[column] = record[index];
+      }
+    });
+    return row;
+  });
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Make a value safe to open in a spreadsheet by prefixing would-be formulas with a quote
+ * @param {*} value - Cell value
+ * @returns {*} - Value with formula-like strings neutralized, other types unchanged
+ */
+export const neutralizeFormula = (value) => (typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Format one CSV record, quoting fields where needed and neutralizing formulas
+ * @param {Array} values - Field values (null/undefined become empty fields)
+ * @returns {string} - CSV line including the CRLF line ending
+ */
+export const toCsvLine = (values) =>
+  values
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(neutralizeFormula(value));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",") + "\r\n";
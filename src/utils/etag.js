@@ -0,0 +1,46 @@
+/**
+ * Build a strong ETag from a record's updated_at timestamp
+ * @param {string|null} updatedAt - Timestamp of the last change (null for records that predate the column)
+ * @returns {string} - Quoted entity tag
+ */
+export const toETag = (updatedAt) => `"${updatedAt ? new Date(updatedAt).getTime().toString(36) : "0"}"`;
+
+/**
+ * Check an If-Match / If-None-Match header against the current ETag
+ * @param {string|undefined} header - Header value ("*" or a comma-separated list of entity tags)
+ * @param {string} etag - Current ETag
+ * @param {Object} options - weak: true for If-None-Match (weak comparison), false for If-Match (strong comparison)
+ * @returns {boolean} - Whether any listed tag matches
+ */
+export const matchesETag = (header, etag, { weak = false } = {}) => {
+  if (!header) {
+    return false;
+  }
+
+  if (header.trim() === "*") {
+    return true;
+  }
+
+  return header
+    .split(",")
+    .map((tag) => tag.trim())
+    .some((tag) => {
+      if (tag.startsWith("W/")) {
+        return weak && tag.slice(2) === etag;
+      }
+
+      return tag === etag;
+    });
+};
+
+/**
+ * Next updated_at value, always later than the previous one even if clocks disagree
+ * @param {string|null} previous - Current updated_at of the record
+ * @returns {string} - ISO timestamp
+ */
+export const nextUpdatedAt = (previous = null) => {
+  const now = Date.now();
+  const last = previous ? new Date(previous).getTime() : 0;
+
+  return new Date(Math.max(now, last + 1)).toISOString();
+};
@@ -0,0 +1,68 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { toCsvLine, neutralizeFormula } from "./csv.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+};
+
+// Write a chunk and wait for the stream to drain when its buffer is full
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+};
+
+/**
+ * Create a writer that streams rows to a CSV or XLSX file
+ * Values that look like formulas are neutralized in both formats
+ * @param {string} format - "csv" or "xlsx"
+ * @param {Object} stream - Writable stream (e.g. Express response)
+ * @param {Array<string>} columns - Column keys, also used as the header row
+ * @returns {Object} - { writeRows(rows), end() }
+ */
+export const createExportWriter = (format, stream, columns) => {
+  if (format === "csv") {
+    let headerWritten = false;
+
+    const writeHeader = async () => {
+      if (!headerWritten) {
+        headerWritten = true;
+        // Byte order mark so Excel opens the file as UTF-8
+        await writeChunk(stream, "\uFEFF" + toCsvLine(columns));
+      }
+    };
+
+    return {
+      async writeRows(rows) {
+        await writeHeader();
+        await writeChunk(stream, rows.map((row) => toCsvLine(columns.map((column) => row[column]))).join(""));
+      },
+      async end() {
+        await writeHeader();
+        stream.end();
+      },
+    };
+  }
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet("Export");
+    worksheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+    return {
+      async writeRows(rows) {
+        rows.forEach((row) => {
+          worksheet.addRow(Object.fromEntries(columns.map((column) => [column, neutralizeFormula(row[column] ?? null)]))).commit();
+        });
+      },
+      async end() {
+        worksheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+};
@@ -2,21 +2,61 @@ import dotenv from "dotenv";
 dotenv.config();
 
 import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { createKeyring } from "./jwtKeys.js";
 
-const JWT_SECRET = process.env.JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const MFA_PENDING_EXPIRES_IN = process.env.MFA_PENDING_EXPIRES_IN || "5m";
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || "15m";
 
-// Validate JWT configuration
-if (!JWT_SECRET) {
-  throw new Error("JWT_SECRET environment variable is required");
-}
+// Validate JWT configuration and load signing keys
+// HS256 (default) signs with JWT_SECRET; RS256/ES256 sign with JWT_ACTIVE_KID from JWT_KEYS_DIR
+const keyring = createKeyring({
+  algorithm: process.env.JWT_ALGORITHM || "HS256",
+  secret: process.env.JWT_SECRET,
+  keysDir: process.env.JWT_KEYS_DIR,
+  activeKid: process.env.JWT_ACTIVE_KID,
+});
+
+// Sign with the active key, tagging the token with its kid
+const signJwt = (payload, options) => {
+  const { kid, algorithm, key } = keyring.getSigningKey();
+
+  return jwt.sign(payload, key, {
+    ...options,
+    algorithm: algorithm,
+    ...(kid && { keyid: kid }),
+  });
+};
+
+// Verify with the key named by the token's kid, only accepting that key's algorithm
+const verifyJwt = (token, options) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+
+  const verificationKey = keyring.getVerificationKey(decoded.header.kid);
+
+  if (!verificationKey) {
+    throw new jwt.JsonWebTokenError("Unknown signing key");
+  }
+
+  return jwt.verify(token, verificationKey.key, {
+    ...options,
+    algorithms: [verificationKey.algorithm],
+  });
+};
 
 /**
  * Generate JWT token for admin user
  * @param {Object} adminData - Admin user data
+ * @param {string} sessionId - Session the token was issued for
+ * @param {Object} claims - Extra claims (e.g. mfa_enroll)
  * @returns {Object} - Token and expiration info
  */
-export const generateToken = (adminData) => {
+export const generateToken = (adminData, sessionId, claims = {}) => {
   try {
     // Create payload (don't include sensitive data)
     const payload = {
@@ -27,11 +67,17 @@ export const generateToken = (adminData) => {
       lname: adminData.lname,
       admin_role: adminData.admin_role,
       admin_status: adminData.admin_status,
+      sid: sessionId,
+      ...claims,
       type: "admin",
     };
 
+    // Unique token ID so the token can be revoked before it expires
+    const jti = uuidv4();
+
     // Generate token
-    const token = jwt.sign(payload, JWT_SECRET, {
+    const token = signJwt(payload, {
+      jwtid: jti,
       expiresIn: JWT_EXPIRES_IN,
       issuer: "funch-hotel-api",
       audience: "funch-hotel-admin",
@@ -44,6 +90,7 @@ export const generateToken = (adminData) => {
     return {
       success: true,
       token: token,
+      jti: jti,
       tokenType: "Bearer",
       expiresIn: JWT_EXPIRES_IN,
       expiresAt: expiresAt.toISOString(),
@@ -63,7 +110,7 @@ export const generateToken = (adminData) => {
  */
 export const verifyToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET, {
+    const decoded = verifyJwt(token, {
       issuer: "funch-hotel-api",
       audience: "funch-hotel-admin",
     });
@@ -138,18 +185,23 @@ export const extractTokenFromHeader = (authHeader) => {
 /**
  * Generate refresh token (longer expiration)
  * @param {Object} adminData - Admin user data
+ * @param {string} sessionId - Session (refresh token family) the token belongs to
  * @returns {Object} - Refresh token info
  */
-export const generateRefreshToken = (adminData) => {
+export const generateRefreshToken = (adminData, sessionId) => {
   try {
     // Minimal payload for refresh token
     const payload = {
       id: adminData.id,
       username: adminData.username,
+      sid: sessionId,
       type: "admin_refresh",
     };
 
-    const refreshToken = jwt.sign(payload, JWT_SECRET, {
+    const jti = uuidv4();
+
+    const refreshToken = signJwt(payload, {
+      jwtid: jti,
       expiresIn: "30d", // Refresh tokens last longer
       issuer: "funch-hotel-api",
       audience: "funch-hotel-refresh",
@@ -161,6 +213,7 @@ export const generateRefreshToken = (adminData) => {
     return {
       success: true,
       refreshToken: refreshToken,
+      jti: jti,
       expiresIn: "30d",
       expiresAt: expiresAt.toISOString(),
     };
@@ -179,7 +232,7 @@ export const generateRefreshToken = (adminData) => {
  */
 export const verifyRefreshToken = (refreshToken) => {
   try {
-    const decoded = jwt.verify(refreshToken, JWT_SECRET, {
+    const decoded = verifyJwt(refreshToken, {
       issuer: "funch-hotel-api",
       audience: "funch-hotel-refresh",
     });
@@ -214,6 +267,134 @@ export const verifyRefreshToken = (refreshToken) => {
   }
 };
 
+/**
+ * Generate short-lived token proving the password step of a two-factor login
+ * @param {Object} adminData - Admin user data
+ * @returns {Object} - MFA pending token info
+ */
+export const generateMfaPendingToken = (adminData) => {
+  try {
+    const payload = {
+      id: adminData.id,
+      username: adminData.username,
+      type: "admin_mfa_pending",
+    };
+
+    const jti = uuidv4();
+
+    const mfaToken = signJwt(payload, {
+      jwtid: jti,
+      expiresIn: MFA_PENDING_EXPIRES_IN,
+      issuer: "funch-hotel-api",
+      audience: "funch-hotel-mfa",
+    });
+
+    return {
+      success: true,
+      mfaToken: mfaToken,
+      jti: jti,
+      expiresIn: MFA_PENDING_EXPIRES_IN,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `MFA token generation failed: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * Verify MFA pending token
+ * @param {string} mfaToken - MFA pending token to verify
+ * @returns {Object} - Verification result
+ */
+export const verifyMfaPendingToken = (mfaToken) => {
+  try {
+    const decoded = verifyJwt(mfaToken, {
+      issuer: "funch-hotel-api",
+      audience: "funch-hotel-mfa",
+    });
+
+    if (decoded.type !== "admin_mfa_pending") {
+      return {
+        success: false,
+        error: "Invalid MFA token type",
+      };
+    }
+
+    return {
+      success: true,
+      decoded: decoded,
+      isValid: true,
+    };
+  } catch (error) {
+    let errorMessage = "MFA token verification failed";
+
+    if (error.name === "TokenExpiredError") {
+      errorMessage = "MFA token has expired, please log in again";
+    } else if (error.name === "JsonWebTokenError") {
+      errorMessage = "Invalid MFA token format";
+    }
+
+    return {
+      success: false,
+      isValid: false,
+      error: errorMessage,
+      errorType: error.name,
+    };
+  }
+};
+
+/**
+ * Generate short-lived access token to act as another admin
+ * The act claim names the admin really making the requests; there is no refresh token
+ * @param {Object} adminData - Admin user data of the impersonated admin
+ * @param {Object} impersonator - Authenticated admin starting the impersonation (id, username, sessionId)
+ * @returns {Object} - Token and expiration info
+ */
+export const generateImpersonationToken = (adminData, impersonator) => {
+  try {
+    const payload = {
+      id: adminData.id,
+      username: adminData.username,
+      email: adminData.email,
+      fname: adminData.fname,
+      lname: adminData.lname,
+      admin_role: adminData.admin_role,
+      admin_status: adminData.admin_status,
+      act: {
+        id: impersonator.id,
+        username: impersonator.username,
+        sid: impersonator.sessionId || null,
+      },
+      type: "admin",
+    };
+
+    const jti = uuidv4();
+
+    const token = signJwt(payload, {
+      jwtid: jti,
+      expiresIn: IMPERSONATION_EXPIRES_IN,
+      issuer: "funch-hotel-api",
+      audience: "funch-hotel-admin",
+    });
+
+    return {
+      success: true,
+      token: token,
+      jti: jti,
+      tokenType: "Bearer",
+      expiresIn: IMPERSONATION_EXPIRES_IN,
+      expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Impersonation token generation failed: ${error.message}`,
+    };
+  }
+};
+
 /**
  * Decode token without verification (for debugging)
  * @param {string} token - JWT token to decode
@@ -237,11 +418,21 @@ export const decodeToken = (token) => {
   }
 };
 
+/**
+ * Get public signing keys as a JSON Web Key Set
+ * @returns {Object} - JWKS (empty with HS256, the shared secret is never published)
+ */
+export const getJwks = () => keyring.getJwks();
+
 export default {
   generateToken,
   verifyToken,
   extractTokenFromHeader,
   generateRefreshToken,
   verifyRefreshToken,
+  generateMfaPendingToken,
+  verifyMfaPendingToken,
+  generateImpersonationToken,
   decodeToken,
+  getJwks,
 };
@@ -0,0 +1,147 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const SUPPORTED_ALGORITHMS = ["HS256", "RS256", "ES256"];
+
+const KEY_TYPES = {
+  RS256: { type: "rsa", options: { modulusLength: 2048 } },
+  ES256: { type: "ec", options: { namedCurve: "P-256" } },
+};
+
+/**
+ * Load every key in a keyring directory
+ *
+ * Layout: one PEM file per key, named after its kid
+ *   <kid>.pem      - private key, can sign and verify
+ *   <kid>.pub.pem  - public key only, can verify (retired keys whose private part was destroyed)
+ *
+ * Rotation procedure:
+ *   1. Add a new key:  node src/scripts/generateJwtKey.js <new-kid>
+ *   2. Point JWT_ACTIVE_KID at it and restart - new tokens are signed with it,
+ *      tokens signed with older keys still verify because those keys stay in the directory
+ *   3. Once the longest-lived token signed with the old key has expired (30 days for refresh tokens),
+ *      delete the old key file (or keep only its .pub.pem)
+ * Switching from HS256 works the same way: keep JWT_SECRET set until old tokens have expired, then unset it
+ *
+ * @param {string} directory - Keyring directory
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {Map} - kid => { kid, algorithm, privateKey, publicKey }
+ */
+export const loadKeysFromDirectory = (directory, algorithm) => {
+  const keys = new Map();
+  const expectedType = KEY_TYPES[algorithm].type;
+
+  for (const file of fs.readdirSync(directory).sort()) {
+    if (!file.endsWith(".pem")) {
+      continue;
+    }
+
+    const pem = fs.readFileSync(path.join(directory, file), "utf8");
+    const isPublicOnly = file.endsWith(".pub.pem");
+    const kid = file.replace(isPublicOnly ? /\.pub\.pem$/ : /\.pem$/, "");
+
+    // A private key file already provides the public key
+    if (isPublicOnly && keys.has(kid)) {
+      continue;
+    }
+
+    const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+    const publicKey = isPublicOnly ? crypto.createPublicKey(pem) : crypto.createPublicKey(privateKey);
+
+    if (publicKey.asymmetricKeyType !== expectedType) {
+      throw new Error(`JWT key ${kid} is ${publicKey.asymmetricKeyType}, ${algorithm} needs ${expectedType}`);
+    }
+
+    if (algorithm === "ES256" && publicKey.asymmetricKeyDetails.namedCurve !== "prime256v1") {
+      throw new Error(`JWT key ${kid} must use the P-256 curve for ES256`);
+    }
+
+    keys.set(kid, { kid, algorithm, privateKey, publicKey });
+  }
+
+  return keys;
+};
+
+/**
+ * Generate a new key pair for the keyring
+ * @param {string} algorithm - RS256 or ES256
+ * @returns {Object} - PEM encoded private and public key
+ */
+export const generateKeyPair = (algorithm) => {
+  if (!KEY_TYPES[algorithm]) {
+    throw new Error(`Key generation is only needed for RS256 or ES256, got ${algorithm}`);
+  }
+
+  const { type, options } = KEY_TYPES[algorithm];
+
+  return crypto.generateKeyPairSync(type, {
+    ...options,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+};
+
+/**
+ * Create the keyring used to sign and verify tokens
+ * @param {Object} config - algorithm, secret (HS256), keysDir and activeKid (RS256/ES256)
+ * @returns {Object} - Keyring
+ */
+export const createKeyring = ({ algorithm = "HS256", secret, keysDir, activeKid }) => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}. Must be: ${SUPPORTED_ALGORITHMS.join(", ")}`);
+  }
+
+  if (algorithm === "HS256") {
+    if (!secret) {
+      throw new Error("JWT_SECRET environment variable is required");
+    }
+
+    return {
+      algorithm,
+      getSigningKey: () => ({ kid: undefined, algorithm, key: secret }),
+      getVerificationKey: (kid) => (kid ? null : { algorithm, key: secret }),
+      getJwks: () => ({ keys: [] }),
+    };
+  }
+
+  if (!keysDir) {
+    throw new Error(`JWT_KEYS_DIR environment variable is required for ${algorithm}`);
+  }
+
+  const keys = loadKeysFromDirectory(keysDir, algorithm);
+  const signingKey = keys.get(activeKid);
+
+  if (!signingKey || !signingKey.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID must name a private key in ${keysDir}`);
+  }
+
+  return {
+    algorithm,
+    getSigningKey: () => ({ kid: signingKey.kid, algorithm, key: signingKey.privateKey }),
+    getVerificationKey: (kid) => {
+      // Tokens signed with the old shared secret keep working during the switch, if it is still configured
+      if (!kid) {
+        return secret ? { algorithm: "HS256", key: secret } : null;
+      }
+
+      const key = keys.get(kid);
+      return key ? { algorithm, key: key.publicKey } : null;
+    },
+    getJwks: () => ({
+      keys: [...keys.values()].map(({ kid, publicKey }) => ({
+        ...publicKey.export({ format: "jwk" }),
+        kid,
+        alg: algorithm,
+        use: "sig",
+      })),
+    }),
+  };
+};
+
+export default {
+  SUPPORTED_ALGORITHMS,
+  loadKeysFromDirectory,
+  generateKeyPair,
+  createKeyring,
+};
@@ -0,0 +1,171 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import nodemailer from "nodemailer";
+
+/**
+ * Mail transports share one interface:
+ *   send({ to, subject, text, html }) => Promise<{ success, messageId } | { success: false, error }>
+ * Add a class with that method (SES, ...) and register it in createMailTransport.
+ */
+
+// Console and file transports keep the whole message, live reset and invitation tokens included
+const DEVELOPMENT_ONLY_DRIVERS = ["console", "file"];
+
+/**
+ * Console transport - prints emails to stdout (local development)
+ */
+export class ConsoleMailTransport {
+  async send(message) {
+    try {
+      const messageId = uuidv4();
+
+      console.log(`📧 Email ${messageId}`);
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text);
+
+      return { success: true, messageId: messageId };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to send email: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * File transport - writes each email as a JSON file (tests and local development)
+ */
+export class FileMailTransport {
+  constructor(directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "funch-hotel-mail")) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    try {
+      const messageId = uuidv4();
+      const sentAt = new Date().toISOString();
+
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(
+        path.join(this.directory, `${sentAt.replace(/[:.]/g, "-")}-${messageId}.json`),
+        JSON.stringify({ messageId, sentAt, ...message }, null, 2)
+      );
+
+      return { success: true, messageId: messageId };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to send email: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * SMTP transport - delivers emails through an SMTP server (production)
+ * Configured with SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE (true for implicit TLS), SMTP_USER and SMTP_PASSWORD
+ */
+export class SmtpMailTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure = process.env.SMTP_SECURE === "true",
+    user = process.env.SMTP_USER,
+    password = process.env.SMTP_PASSWORD,
+  } = {}) {
+    if (!host) {
+      throw new Error("Missing required SMTP_HOST environment variable");
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+    });
+  }
+
+  async send(message) {
+    try {
+      const info = await this.transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to send email: ${error.message}`,
+      };
+    }
+  }
+}
+
+/**
+ * Create mail transport for the configured driver
+ * @param {string} driver - "smtp", "console" or "file" (defaults to console outside production)
+ * @returns {SmtpMailTransport|ConsoleMailTransport|FileMailTransport}
+ * @throws {Error} - If no driver is configured in production, or a development-only one is
+ */
+export const createMailTransport = (driver = process.env.MAIL_TRANSPORT) => {
+  const isProduction = process.env.NODE_ENV === "production";
+
+  if (!driver) {
+    if (isProduction) {
+      throw new Error("Missing required MAIL_TRANSPORT environment variable");
+    }
+
+    driver = "console";
+  }
+
+  if (isProduction && DEVELOPMENT_ONLY_DRIVERS.includes(driver)) {
+    throw new Error(`The ${driver} mail transport would expose tokens and can't be used in production`);
+  }
+
+  switch (driver) {
+    case "smtp":
+      return new SmtpMailTransport();
+    case "console":
+      return new ConsoleMailTransport();
+    case "file":
+      return new FileMailTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${driver}`);
+  }
+};
+
+/**
+ * Transport for the configured driver, created on the first send
+ * A missing or invalid configuration fails that send instead of every import of the mail service
+ */
+export class LazyMailTransport {
+  constructor(create = createMailTransport) {
+    this.create = create;
+    this.transport = null;
+  }
+
+  async send(message) {
+    try {
+      if (!this.transport) {
+        this.transport = this.create();
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: `Mail transport unavailable: ${error.message}`,
+      };
+    }
+
+    return this.transport.send(message);
+  }
+}
+
+export default new LazyMailTransport();
@@ -0,0 +1,149 @@
+import fs from "fs";
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const envBool = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name] === "true");
+
+// Most common leaked passwords that still pass the character class rules
+const COMMON_PASSWORDS = [
+  "password",
+  "password1",
+  "password123",
+  "passw0rd",
+  "p@ssw0rd",
+  "qwerty123",
+  "qwerty1",
+  "abc123",
+  "abcd1234",
+  "letmein1",
+  "welcome1",
+  "welcome123",
+  "admin123",
+  "administrator1",
+  "iloveyou1",
+  "monkey123",
+  "dragon123",
+  "football1",
+  "baseball1",
+  "sunshine1",
+  "princess1",
+  "trustno1",
+  "master123",
+  "hello123",
+  "changeme1",
+  "test1234",
+  "secret123",
+  "summer2024",
+  "winter2024",
+  "hotel123",
+];
+
+// Extra entries, one per line, from PASSWORD_BLOCKLIST_FILE
+const loadBlocklist = (file) => {
+  const entries = new Set(COMMON_PASSWORDS);
+
+  if (file) {
+    fs.readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach((entry) => entries.add(entry));
+  }
+
+  return entries;
+};
+
+/**
+ * Password policy, configured through environment variables
+ */
+export const passwordPolicy = {
+  minLength: envInt("PASSWORD_MIN_LENGTH", 6),
+  maxLength: envInt("PASSWORD_MAX_LENGTH", 128),
+  requireLowercase: envBool("PASSWORD_REQUIRE_LOWERCASE", true),
+  requireUppercase: envBool("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireNumber: envBool("PASSWORD_REQUIRE_NUMBER", true),
+  requireSymbol: envBool("PASSWORD_REQUIRE_SYMBOL", false),
+  disallowPersonalInfo: envBool("PASSWORD_DISALLOW_PERSONAL_INFO", true),
+  historySize: envInt("PASSWORD_HISTORY_SIZE", 5), // 0 disables reuse check
+  maxAgeDays: envInt("PASSWORD_MAX_AGE_DAYS", 0), // 0 disables expiry
+  blocklist: loadBlocklist(process.env.PASSWORD_BLOCKLIST_FILE),
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Plain password
+ * @param {Object} context - username and email of the account, to reject passwords containing them
+ * @param {Object} policy - Policy to apply
+ * @returns {Object} - Check result with every violated rule
+ */
+export const checkPassword = (password, { username, email } = {}, policy = passwordPolicy) => {
+  const errors = [];
+
+  if (typeof password !== "string") {
+    return { success: true, isValid: false, errors: ["Password is required"] };
+  }
+
+  if (password.length < policy.minLength || password.length > policy.maxLength) {
+    errors.push(`Password must be between ${policy.minLength}-${policy.maxLength} characters`);
+  }
+
+  const missing = [];
+  if (policy.requireLowercase && !/[a-z]/.test(password)) missing.push("one lowercase letter");
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) missing.push("one uppercase letter");
+  if (policy.requireNumber && !/\d/.test(password)) missing.push("one number");
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) missing.push("one symbol");
+
+  if (missing.length > 0) {
+    errors.push(`Password must contain at least ${missing.join(", ")}`);
+  }
+
+  const lowered = password.toLowerCase();
+
+  if (policy.blocklist.has(lowered)) {
+    errors.push("Password is too common");
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const emailName = email ? String(email).split("@")[0] : null;
+    const personal = [username, emailName].filter((value) => value && value.length >= 3);
+
+    if (personal.some((value) => lowered.includes(value.toLowerCase()))) {
+      errors.push("Password must not contain the username or email");
+    }
+  }
+
+  return {
+    success: true,
+    isValid: errors.length === 0,
+    errors: errors,
+  };
+};
+
+/**
+ * Work out when a password expires
+ * @param {string|null} changedAt - When the password was last changed (unknown for older accounts)
+ * @param {Object} policy - Policy to apply
+ * @param {number} now - Current time in ms
+ * @returns {Object} - expired flag and expiry date (null when passwords don't expire)
+ */
+export const getPasswordExpiry = (changedAt, policy = passwordPolicy, now = Date.now()) => {
+  if (!policy.maxAgeDays || !changedAt) {
+    return { expired: false, expiresAt: null };
+  }
+
+  const expiresAt = new Date(new Date(changedAt).getTime() + policy.maxAgeDays * 24 * 60 * 60 * 1000);
+
+  return {
+    expired: expiresAt.getTime() <= now,
+    expiresAt: expiresAt.toISOString(),
+  };
+};
+
+export default {
+  passwordPolicy,
+  checkPassword,
+  getPasswordExpiry,
+};
@@ -0,0 +1,13 @@
+/**
+ * Collect who is making a request and from where, for services that audit their writes
+ * @param {Object} req - Express request object
+ * @returns {Object} - actor (authenticated admin or null), ipAddress, userAgent and requestId
+ */
+export const getRequestContext = (req) => ({
+  actor: req.user || null,
+  ipAddress: req.ip || null,
+  userAgent: req.get("user-agent") || null,
+  requestId: req.id || null,
+});
+
+export default getRequestContext;
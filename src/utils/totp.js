@@ -0,0 +1,176 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const DEFAULT_STEP = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} size - Secret size in bytes (20 bytes = 160 bits, as recommended for SHA-1)
+ * @returns {string} - Base32 encoded secret
+ */
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} - Zero-padded code
+ */
+export const generateHOTP = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} timestamp - Unix time in milliseconds
+ * @param {number} step - Step size in seconds
+ * @returns {number} - Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now(), step = DEFAULT_STEP) => Math.floor(timestamp / 1000 / step);
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} options - timestamp (ms), step (s) and digits
+ * @returns {string} - Current code
+ */
+export const generateTOTP = (secret, { timestamp = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS } = {}) =>
+  generateHOTP(secret, getTimeStep(timestamp, step), digits);
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - timestamp (ms), step (s), digits and window (steps accepted either side)
+ * @returns {Object} - Verification result with the matched time step
+ */
+export const verifyTOTP = (
+  secret,
+  code,
+  { timestamp = Date.now(), step = DEFAULT_STEP, digits = DEFAULT_DIGITS, window = 1 } = {}
+) => {
+  try {
+    const normalized = String(code || "").replace(/\s/g, "");
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+      return { success: true, isValid: false };
+    }
+
+    const currentStep = getTimeStep(timestamp, step);
+
+    for (let offset = -window; offset <= window; offset++) {
+      const candidate = Buffer.from(generateHOTP(secret, currentStep + offset, digits));
+
+      if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+        return { success: true, isValid: true, timeStep: currentStep + offset };
+      }
+    }
+
+    return { success: true, isValid: false };
+  } catch (error) {
+    return {
+      success: false,
+      isValid: false,
+      error: `TOTP verification failed: ${error.message}`,
+    };
+  }
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} params - secret, accountName and issuer
+ * @returns {string} - otpauth URI
+ */
+export const buildOtpauthURI = ({ secret, accountName, issuer = "Funch Hotel" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  getTimeStep,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthURI,
+};